@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 
 const packageJson = require('../package.json');
+const { isKnownProjectType, getProfile } = require('./lib/profiles');
 
 // Default AI Agent roles that users can customize
 const DEFAULT_AGENT_ROLES = {
@@ -863,12 +864,13 @@ Project: ${config.project.name}
   fs.writeFileSync('SESSION_HANDOFF.md', handoffTemplate);
 }
 
+// Project types `uds init` generates are described by lib/profiles.json;
+// the maps below cover the agent-only types (research, infrastructure, ...)
 function getProjectLanguage(projectType) {
+  if (isKnownProjectType(projectType)) {
+    return getProfile({ projectType }).language;
+  }
   const languages = {
-    'react': 'JavaScript/TypeScript',
-    'node': 'JavaScript/TypeScript', 
-    'python': 'Python',
-    'full-stack': 'JavaScript + Backend',
     'research': 'Python/R',
     'data-science': 'Python',
     'infrastructure': 'YAML/Shell/Go',
@@ -891,12 +893,17 @@ function getProjectArchitecture(projectType) {
   return architectures[projectType] || 'Custom';
 }
 
+const CONTAINER_STRATEGY_NAMES = {
+  'devcontainer': 'DevContainer',
+  'docker': 'Docker',
+  'docker-compose': 'Docker Compose'
+};
+
 function getContainerStrategy(projectType) {
+  if (isKnownProjectType(projectType)) {
+    return CONTAINER_STRATEGY_NAMES[getProfile({ projectType }).strategy.containerStrategy];
+  }
   const strategies = {
-    'react': 'DevContainer',
-    'node': 'Docker',
-    'python': 'DevContainer + Conda',
-    'full-stack': 'Docker Compose',
     'research': 'DevContainer',
     'data-science': 'DevContainer + ML Tools',
     'infrastructure': 'Multi-container',
@@ -906,11 +913,10 @@ function getContainerStrategy(projectType) {
 }
 
 function getKeyDirectories(projectType) {
+  if (isKnownProjectType(projectType)) {
+    return getProfile({ projectType }).keyDirectories;
+  }
   const directories = {
-    'react': ['src/', 'public/', 'tests/'],
-    'node': ['src/', 'routes/', 'tests/'],
-    'python': ['src/', 'tests/', 'scripts/', 'docs/'],
-    'full-stack': ['frontend/', 'backend/', 'tests/'],
     'research': ['experiments/', 'papers/', 'validation/', 'docs/'],
     'data-science': ['notebooks/', 'data/', 'models/', 'reports/'],
     'infrastructure': ['deployment/', 'k8s/', 'scripts/'],
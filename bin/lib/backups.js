@@ -0,0 +1,133 @@
+// Run history for `uds restore`. Every run that writes files gets a
+// timestamped directory under .uds/backups/ holding copies of the files it
+// replaced and a manifest of what it did to each path.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BACKUPS_DIR = path.join('.uds', 'backups');
+const RUN_MANIFEST = 'manifest.json';
+// Previous .uds/baseline entries are kept inside the run directory
+const RUN_BASELINE_DIR = '.baseline';
+
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function getRunDir(rootDir, runId) {
+  return path.join(rootDir, BACKUPS_DIR, runId);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function copyInto(source, target) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(source, target);
+}
+
+function writeRunManifest(rootDir, runId, manifest) {
+  const runDir = getRunDir(rootDir, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+  fs.writeFileSync(path.join(runDir, RUN_MANIFEST), JSON.stringify({ id: runId, ...manifest }, null, 2) + '\n');
+}
+
+function readRunManifest(rootDir, runId) {
+  const manifestPath = path.join(getRunDir(rootDir, runId), RUN_MANIFEST);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Recorded runs, newest first
+function listRuns(rootDir) {
+  const backupsDir = path.join(rootDir, BACKUPS_DIR);
+  if (!fs.existsSync(backupsDir)) {
+    return [];
+  }
+  return fs.readdirSync(backupsDir)
+    .map(runId => readRunManifest(rootDir, runId))
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+function removeEmptyDirs(rootDir, file) {
+  let dir = path.dirname(path.join(rootDir, file));
+  while (dir !== rootDir && dir.startsWith(rootDir) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// Undo a run: files it created are removed, files it backed up are put back
+// and the generator baseline is rolled back with them. Files edited since
+// the run are left alone unless `force` is set.
+// Returns one { file, status } entry per file the run touched.
+function restoreRun(rootDir, runId, options = {}) {
+  const root = path.resolve(rootDir);
+  const manifest = readRunManifest(root, runId);
+  if (!manifest) {
+    throw new Error(`No recorded run "${runId}" in ${BACKUPS_DIR}`);
+  }
+  if (manifest.restoredAt && !options.force) {
+    throw new Error(`Run ${runId} was already restored on ${manifest.restoredAt}`);
+  }
+
+  const runDir = getRunDir(root, runId);
+  const results = [];
+
+  manifest.files.forEach(entry => {
+    const target = path.join(root, entry.path);
+    const current = fs.existsSync(target) ? fs.readFileSync(target) : undefined;
+
+    if (!['created', 'backed-up', 'overwritten'].includes(entry.action)) {
+      return;
+    }
+    if (entry.action === 'overwritten') {
+      results.push({ file: entry.path, status: 'not-backed-up' });
+      return;
+    }
+    if (current !== undefined && hashContent(current) !== entry.hash && !options.force) {
+      results.push({ file: entry.path, status: 'modified-since' });
+      return;
+    }
+
+    if (entry.action === 'created') {
+      if (current !== undefined) {
+        fs.unlinkSync(target);
+        removeEmptyDirs(root, entry.path);
+      }
+      results.push({ file: entry.path, status: 'removed' });
+    } else {
+      copyInto(path.join(runDir, entry.path), target);
+      results.push({ file: entry.path, status: 'restored' });
+    }
+  });
+
+  (manifest.baseline || []).forEach(entry => {
+    const target = path.join(root, entry.baselinePath);
+    if (entry.existed) {
+      copyInto(path.join(runDir, RUN_BASELINE_DIR, entry.path), target);
+    } else if (fs.existsSync(target)) {
+      fs.unlinkSync(target);
+      removeEmptyDirs(root, entry.baselinePath);
+    }
+  });
+
+  writeRunManifest(root, runId, { ...manifest, restoredAt: new Date().toISOString() });
+  return results;
+}
+
+module.exports = {
+  BACKUPS_DIR,
+  RUN_BASELINE_DIR,
+  createRunId,
+  getRunDir,
+  hashContent,
+  writeRunManifest,
+  readRunManifest,
+  listRuns,
+  restoreRun
+};
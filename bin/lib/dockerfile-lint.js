@@ -0,0 +1,126 @@
+// Dockerfile parsing and the lint rules behind `uds validate`. Issues are
+// { line, level: 'error' | 'warning', message }.
+
+// Instructions with their starting line; continuation lines are joined
+function parseDockerfile(content) {
+  const instructions = [];
+  let pending = null;
+
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!pending && (line === '' || line.startsWith('#'))) {
+      return;
+    }
+    if (pending && line.startsWith('#')) {
+      return;
+    }
+
+    const text = line.replace(/\\$/, '').trim();
+    pending = pending ? { ...pending, text: `${pending.text} ${text}` } : { line: index + 1, text };
+    if (!line.endsWith('\\')) {
+      const match = pending.text.match(/^(\S+)\s*(.*)$/);
+      if (match) {
+        instructions.push({ line: pending.line, instruction: match[1].toUpperCase(), args: match[2] });
+      }
+      pending = null;
+    }
+  });
+
+  return instructions;
+}
+
+// FROM [--platform=...] <image> [AS <name>]
+function parseFrom(args) {
+  const words = args.split(/\s+/).filter(word => !word.startsWith('--'));
+  const asIndex = words.findIndex(word => word.toUpperCase() === 'AS');
+  return { image: words[0], name: asIndex === -1 ? null : words[asIndex + 1] };
+}
+
+// Missing or `latest` tags; digests and ARG-driven images count as pinned
+function checkBaseImage(image) {
+  if (image === 'scratch' || image.includes('@') || image.includes('$')) {
+    return null;
+  }
+  const lastSegment = image.slice(image.lastIndexOf('/') + 1);
+  if (!lastSegment.includes(':')) {
+    return `base image "${image}" has no tag; pin a version (e.g. ${image}:<version>)`;
+  }
+  if (lastSegment.endsWith(':latest')) {
+    return `base image "${image}" uses the latest tag; pin a version`;
+  }
+  return null;
+}
+
+const PRODUCTION_INSTALL = /\b(npm\s+(ci|install)\b[^;&|]*(--only[= ]prod(uction)?|--production|--omit[= ]dev)|yarn\s+install\b[^;&|]*--prod(uction)?|pnpm\s+install\b[^;&|]*--prod(uction)?)\b/;
+const FULL_INSTALL = /\b(npm\s+(ci|install)|yarn\s+install|pnpm\s+install)\b|\byarn\s*($|&&)/;
+const BUILD_STEP = /\b((npm|pnpm)\s+run\s+build|yarn\s+(run\s+)?build|next\s+build|vite\s+build|tsc)\b/;
+
+function lintDockerfile(content) {
+  const issues = [];
+  const instructions = parseDockerfile(content);
+  const stages = new Map();
+  let stage = null;
+
+  if (!instructions.some(({ instruction }) => instruction === 'FROM')) {
+    return [{ line: 1, level: 'error', message: 'no FROM instruction' }];
+  }
+
+  instructions.forEach(({ line, instruction, args }) => {
+    if (instruction === 'FROM') {
+      const { image, name } = parseFrom(args);
+      const parent = stages.get(image);
+      if (!parent) {
+        const problem = checkBaseImage(image);
+        if (problem) {
+          issues.push({ line, level: 'warning', message: problem });
+        }
+      }
+      // A stage built FROM an earlier one inherits its user and installs
+      stage = {
+        user: parent ? parent.user : null,
+        productionInstall: parent ? parent.productionInstall : null
+      };
+      if (name) {
+        stages.set(name, stage);
+      }
+      return;
+    }
+    if (!stage) {
+      return;
+    }
+
+    if (instruction === 'USER') {
+      stage.user = args.trim();
+    } else if (instruction === 'COPY') {
+      const from = args.match(/--from=(\S+)/);
+      if (from && stages.has(from[1]) && /node_modules/.test(args)) {
+        stage.productionInstall = stages.get(from[1]).productionInstall;
+      }
+    } else if (instruction === 'RUN') {
+      if (BUILD_STEP.test(args) && stage.productionInstall) {
+        issues.push({
+          line,
+          level: 'error',
+          message: `"${args.match(BUILD_STEP)[0]}" runs after a production-only install (line ${stage.productionInstall}), so the devDependencies the build needs are missing`
+        });
+      }
+      if (PRODUCTION_INSTALL.test(args)) {
+        stage.productionInstall = line;
+      } else if (FULL_INSTALL.test(args)) {
+        stage.productionInstall = null;
+      }
+    }
+  });
+
+  if (!stage.user || /^(root|0)(:|$)/.test(stage.user)) {
+    const lastFrom = [...instructions].reverse().find(({ instruction }) => instruction === 'FROM');
+    issues.push({ line: lastFrom.line, level: 'warning', message: 'the final stage runs as root; add a USER instruction' });
+  }
+
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  parseDockerfile,
+  lintDockerfile
+};
@@ -0,0 +1,258 @@
+// .env file handling: parsing, secret generation, the managed .gitignore
+// block, and the checks behind `uds env check|diff|sync|validate`.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Value written for settings that must be filled in before deploying
+const REQUIRED = 'REQUIRED';
+
+// Copied by developers to create their own env files; safe to commit
+const ENV_EXAMPLE_FILE = '.env.example';
+// Variables and their types, written next to the env files; safe to commit
+const ENV_SCHEMA_FILE = '.env.schema.json';
+
+const GITIGNORE_FILE = '.gitignore';
+const GITIGNORE_BEGIN = '# >>> uds: environment files';
+const GITIGNORE_END = '# <<< uds: environment files';
+const GITIGNORE_ENTRIES = ['.env', '.env.*', `!${ENV_EXAMPLE_FILE}`, `!${ENV_SCHEMA_FILE}`];
+
+const PLACEHOLDER_PATTERNS = [/your[-_]/i, /changeme/i, /:password@/];
+
+function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// KEY=value lines; comments, blank lines and `export` prefixes are ignored
+function parseEnv(content) {
+  const values = {};
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      return;
+    }
+    let value = match[2];
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    values[match[1]] = value;
+  });
+
+  return values;
+}
+
+function readEnvFile(file) {
+  return fs.existsSync(file) ? parseEnv(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function isPlaceholder(value) {
+  return value === REQUIRED || PLACEHOLDER_PATTERNS.some(pattern => pattern.test(value));
+}
+
+// Adds (or refreshes) the uds block in a .gitignore, leaving the rest alone
+function updateGitignore(content = '') {
+  const block = [GITIGNORE_BEGIN, ...GITIGNORE_ENTRIES, GITIGNORE_END].join('\n');
+  const start = content.indexOf(GITIGNORE_BEGIN);
+  const end = content.indexOf(GITIGNORE_END);
+
+  if (start !== -1 && end > start) {
+    return content.slice(0, start) + block + content.slice(end + GITIGNORE_END.length);
+  }
+
+  const prefix = content.length === 0 ? '' : content.replace(/\n*$/, '\n\n');
+  return `${prefix}${block}\n`;
+}
+
+function listEnvFiles(rootDir) {
+  return fs.readdirSync(rootDir)
+    .filter(file => file === '.env' || file.startsWith('.env.'))
+    .sort();
+}
+
+// null when rootDir is not inside a git work tree
+function listTrackedFiles(rootDir, files) {
+  if (files.length === 0) {
+    return [];
+  }
+  try {
+    const output = execFileSync('git', ['ls-files', '--', ...files], {
+      cwd: rootDir,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).toString();
+    return output.split('\n').filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Problems that should stop a deploy: placeholder values in the env files of
+// deployed environments, and env files committed to git. `inRepository` is
+// false when tracking could not be checked.
+// Generated deploy configs whose Secret is created from .env.<environment>
+function getEnvFileConsumers(rootDir, environment) {
+  return [`k8s/overlays/${environment}`, `chart/values-${environment}.yaml`]
+    .filter(file => fs.existsSync(path.join(rootDir, file)));
+}
+
+function checkEnvFiles(rootDir, { environments = ['production'] } = {}) {
+  const problems = [];
+
+  environments.forEach(environment => {
+    const file = `.env.${environment}`;
+    if (!fs.existsSync(path.join(rootDir, file))) {
+      // Only an error when something deploys from the missing file
+      const consumers = getEnvFileConsumers(rootDir, environment);
+      if (consumers.length > 0) {
+        problems.push({ file, consumers, problem: 'missing' });
+      }
+      return;
+    }
+    Object.entries(readEnvFile(path.join(rootDir, file)))
+      .filter(([, value]) => isPlaceholder(value))
+      .forEach(([key, value]) => problems.push({ file, key, value, problem: 'placeholder' }));
+  });
+
+  const envFiles = listEnvFiles(rootDir).filter(file => ![ENV_EXAMPLE_FILE, ENV_SCHEMA_FILE].includes(file));
+  const tracked = listTrackedFiles(rootDir, envFiles);
+  (tracked || []).forEach(file => problems.push({ file, problem: 'tracked' }));
+
+  return { problems, inRepository: tracked !== null };
+}
+
+// A value of each schema type; `null` when valid, otherwise the reason
+const VARIABLE_TYPES = {
+  string: () => null,
+  url: value => {
+    try {
+      new URL(value);
+      return null;
+    } catch (error) {
+      return 'is not a URL';
+    }
+  },
+  port: value => (/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535 ? null : 'is not a port (1-65535)'),
+  boolean: value => (/^(true|false|1|0|yes|no)$/i.test(value) ? null : 'is not a boolean (true/false)'),
+  secret: value => (value.length >= 16 ? null : 'is too short for a secret (16+ characters)')
+};
+
+function readEnvSchema(rootDir) {
+  const file = path.join(rootDir, ENV_SCHEMA_FILE);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${ENV_SCHEMA_FILE} not found - run "uds init" or "uds regenerate" to create it`);
+  }
+  const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.entries(schema.variables || {}).forEach(([key, variable]) => {
+    if (!VARIABLE_TYPES[variable.type]) {
+      throw new Error(`${ENV_SCHEMA_FILE}: ${key} has unknown type "${variable.type}" (expected ${Object.keys(VARIABLE_TYPES).join(', ')})`);
+    }
+  });
+  return schema;
+}
+
+function readEnvironments(rootDir, environments) {
+  return environments.map(environment => {
+    const file = `.env.${environment}`;
+    const exists = fs.existsSync(path.join(rootDir, file));
+    return { environment, file, exists, values: exists ? readEnvFile(path.join(rootDir, file)) : {} };
+  });
+}
+
+// Keys that are in the schema or any env file but missing from some env
+// file: [{ key, missing: ['staging'], inSchema }]
+function diffEnvFiles(rootDir, schema) {
+  const environments = readEnvironments(rootDir, schema.environments);
+  const keys = [...new Set([
+    ...Object.keys(schema.variables),
+    ...environments.flatMap(({ values }) => Object.keys(values))
+  ])];
+
+  return keys
+    .map(key => ({
+      key,
+      inSchema: key in schema.variables,
+      missing: environments.filter(({ values }) => !(key in values)).map(({ environment }) => environment)
+    }))
+    .filter(entry => entry.missing.length > 0);
+}
+
+// Value for a key sync adds: the schema example in development (a fresh
+// secret for secrets), REQUIRED everywhere else
+function getSyncValue(variable, environment) {
+  if (environment !== 'development') {
+    return REQUIRED;
+  }
+  if (variable.type === 'secret') {
+    return generateSecret();
+  }
+  return variable.example !== undefined ? String(variable.example) : REQUIRED;
+}
+
+// Appends the schema keys each env file lacks; returns [{ file, keys, created }]
+function syncEnvFiles(rootDir, schema, { dryRun = false } = {}) {
+  return readEnvironments(rootDir, schema.environments)
+    .map(({ environment, file, exists, values }) => {
+      const keys = Object.keys(schema.variables).filter(key => !(key in values));
+      if (keys.length > 0 && !dryRun) {
+        const target = path.join(rootDir, file);
+        const previous = exists ? fs.readFileSync(target, 'utf8') : '';
+        const prefix = previous.length === 0 ? '' : previous.replace(/\n*$/, '\n\n');
+        const lines = keys.map(key => `${key}=${getSyncValue(schema.variables[key], environment)}`);
+        fs.writeFileSync(target, `${prefix}# Added by uds env sync\n${lines.join('\n')}\n`);
+      }
+      return { file, keys, created: !exists && keys.length > 0 };
+    })
+    .filter(result => result.keys.length > 0);
+}
+
+// Type errors, missing keys and keys the schema does not know:
+// [{ file, key, level: 'error' | 'warning', message }]
+function validateEnvFiles(rootDir, schema, { environments = schema.environments } = {}) {
+  const issues = [];
+
+  readEnvironments(rootDir, environments).forEach(({ file, exists, values }) => {
+    if (!exists) {
+      issues.push({ file, key: null, level: 'error', message: 'file not found' });
+      return;
+    }
+
+    Object.entries(schema.variables).forEach(([key, variable]) => {
+      if (!(key in values)) {
+        issues.push({ file, key, level: 'error', message: 'is missing' });
+      } else if (values[key] === REQUIRED) {
+        issues.push({ file, key, level: 'error', message: 'is still REQUIRED' });
+      } else {
+        const reason = VARIABLE_TYPES[variable.type](values[key]);
+        if (reason) {
+          issues.push({ file, key, level: 'error', message: `${reason}: ${values[key]}` });
+        }
+      }
+    });
+
+    Object.keys(values)
+      .filter(key => !(key in schema.variables))
+      .forEach(key => issues.push({ file, key, level: 'warning', message: `is not in ${ENV_SCHEMA_FILE}` }));
+  });
+
+  return issues;
+}
+
+module.exports = {
+  REQUIRED,
+  ENV_EXAMPLE_FILE,
+  ENV_SCHEMA_FILE,
+  GITIGNORE_FILE,
+  VARIABLE_TYPES,
+  generateSecret,
+  parseEnv,
+  readEnvFile,
+  isPlaceholder,
+  updateGitignore,
+  listEnvFiles,
+  checkEnvFiles,
+  readEnvSchema,
+  diffEnvFiles,
+  syncEnvFiles,
+  validateEnvFiles
+};
@@ -0,0 +1,45 @@
+// Serialization for structured config files. Generators return plain
+// objects; the strategy's configFormat picks how they are written.
+const yaml = require('./yaml');
+
+const CONFIG_FORMATS = {
+  json: {
+    extension: 'json',
+    stringify: value => JSON.stringify(value, null, 2),
+    parse: text => JSON.parse(text)
+  },
+  yaml: {
+    extension: 'yml',
+    stringify: value => yaml.stringify(value),
+    parse: text => yaml.parse(text)
+  }
+};
+
+function getConfigFormat(name = 'json') {
+  const format = CONFIG_FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown config format "${name}" (expected ${Object.keys(CONFIG_FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+function serializeConfig(value, formatName) {
+  return getConfigFormat(formatName).stringify(value);
+}
+
+function parseConfig(text, formatName) {
+  return getConfigFormat(formatName).parse(text);
+}
+
+// e.g. configFilename('devcontainer', 'yaml') -> 'devcontainer.yml'
+function configFilename(basename, formatName) {
+  return `${basename}.${getConfigFormat(formatName).extension}`;
+}
+
+module.exports = {
+  CONFIG_FORMATS,
+  getConfigFormat,
+  serializeConfig,
+  parseConfig,
+  configFilename
+};
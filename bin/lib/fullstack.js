@@ -0,0 +1,251 @@
+// Sources of a full-stack project's two trees: the frontend/ app (React or
+// Next.js) with the API client every page shares, and the backend/ API
+// (Express, Fastify or FastAPI). The backend answers GET /api/hello, which
+// the generated frontend calls on start, and both serve the health path of
+// their service in profiles.json.
+const { getFrameworkFiles } = require('./python');
+
+// frontend/src/api.js (React) or frontend/lib/api.js (Next.js). The
+// browser calls the backend on its published port, so the base URL comes
+// from the env variable docker-compose and the .env files set.
+function generateApiClient({ envVar, envSource, port, typescript }) {
+  const types = typescript
+    ? { request: '<T>(path: string, options: RequestInit = {}): Promise<T>', get: '<T>(path: string)', post: '<T>(path: string, body: unknown)', result: '<T>' }
+    : { request: '(path, options = {})', get: '(path)', post: '(path, body)', result: '' };
+
+  return `// Client for the backend API, shared by every page and component. The base
+// URL is ${envVar} (set by docker-compose and the .env files); without it
+// the backend's local port is used.
+const API_URL = ${envSource}.${envVar} || 'http://localhost:${port}';
+
+async function request${types.request} {
+  const response = await fetch(\`\${API_URL}\${path}\`, options);
+  if (!response.ok) {
+    throw new Error(\`\${options.method || 'GET'} \${path} failed: \${response.status} \${response.statusText}\`);
+  }
+  return response.json();
+}
+
+export const apiGet = ${types.get} => request${types.result}(path);
+
+export const apiPost = ${types.post} => request${types.result}(path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+`;
+}
+
+// frontend/src/App.jsx for a React frontend
+function generateReactApp({ name, backendName, typescript }) {
+  return `import React, { useState, useEffect } from 'react';
+import { apiGet } from './api';
+
+function App() {
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    apiGet${typescript ? '<{ message: string }>' : ''}('/api/hello')
+      .then(data => setMessage(data.message))
+      .catch(err => console.error('API Error:', err));
+  }, []);
+
+  return (
+    <div className="App">
+      <h1>Welcome to ${name}</h1>
+      <p>Your React + ${backendName} universal dev environment is ready!</p>
+      <p>Backend says: {message}</p>
+    </div>
+  );
+}
+
+export default App;
+`;
+}
+
+// pages/api/health of a Next.js app; API routes live under /api, so the
+// app's health path is /api/health
+function generateNextHealthRoute(typescript) {
+  return `${typescript ? `import type { NextApiRequest, NextApiResponse } from 'next';
+
+export default function handler(req: NextApiRequest, res: NextApiResponse) {` : 'export default function handler(req, res) {'}
+  res.status(200).json({ status: 'ok' });
+}
+`;
+}
+
+// Pages and config of a Next.js frontend, relative to frontend/. The
+// Dockerfile's runner stage serves the standalone build and copies public/;
+// in a `workspace` the build traces dependencies from the monorepo root.
+function getNextFiles({ name, backendName, typescript, workspace = false }) {
+  const files = {
+    [`pages/index.${typescript ? 'tsx' : 'jsx'}`]: `import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import { apiGet } from '../lib/api';
+
+export default function Home() {
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    apiGet${typescript ? '<{ message: string }>' : ''}('/api/hello')
+      .then(data => setMessage(data.message))
+      .catch(err => console.error('API Error:', err));
+  }, []);
+
+  return (
+    <div>
+      <Head>
+        <title>${name}</title>
+      </Head>
+
+      <main>
+        <h1>Welcome to ${name}</h1>
+        <p>Your Next.js + ${backendName} universal dev environment is ready!</p>
+        <p>Backend says: {message}</p>
+      </main>
+    </div>
+  );
+}
+`,
+    [`pages/api/health.${typescript ? 'ts' : 'js'}`]: generateNextHealthRoute(typescript),
+    'next.config.js': workspace ? `const path = require('path');
+
+/** @type {import('next').NextConfig} */
+module.exports = {
+  output: 'standalone',
+  experimental: {
+    outputFileTracingRoot: path.join(__dirname, '..')
+  }
+};
+` : `/** @type {import('next').NextConfig} */
+module.exports = {
+  output: 'standalone'
+};
+`,
+    'public/robots.txt': `User-agent: *
+Allow: /
+`
+  };
+  if (typescript) {
+    files['next-env.d.ts'] = `/// <reference types="next" />
+/// <reference types="next/image-types/global" />
+`;
+  }
+  return files;
+}
+
+const BACKEND_FILES = {
+  express: ({ name, typescript }) => ({
+    [`index.${typescript ? 'ts' : 'js'}`]: `${typescript ? `import express from 'express';
+import cors from 'cors';` : `const express = require('express');
+const cors = require('cors');`}
+
+const app = express();
+const port = process.env.PORT || 3001;
+
+// The frontend calls the API from the browser, on another port
+app.use(cors());
+app.use(express.json());
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.get('/api/hello', (req, res) => {
+  res.json({
+    message: 'Hello from ${name} API!',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.listen(port, () => {
+  console.log(\`🚀 API server running on port \${port}\`);
+});
+`
+  }),
+
+  fastify: ({ name, typescript }) => ({
+    [`index.${typescript ? 'ts' : 'js'}`]: `${typescript ? `import Fastify from 'fastify';
+import cors from '@fastify/cors';` : `const Fastify = require('fastify');
+const cors = require('@fastify/cors');`}
+
+const app = Fastify({ logger: true });
+const port = Number(process.env.PORT) || 3001;
+
+// The frontend calls the API from the browser, on another port
+app.register(cors);
+
+app.get('/health', async () => ({ status: 'ok' }));
+
+app.get('/api/hello', async () => ({
+  message: 'Hello from ${name} API!',
+  timestamp: new Date().toISOString()
+}));
+
+app.listen({ port, host: '0.0.0.0' }).catch(error => {
+  app.log.error(error);
+  process.exit(1);
+});
+`
+  }),
+
+  // The FastAPI app of a `python --framework fastapi` project, with the API
+  // route and CORS for the frontend
+  fastapi: ({ name }) => ({
+    ...getFrameworkFiles('fastapi', name),
+    'app/main.py': `"""
+${name} - FastAPI backend
+"""
+from datetime import datetime, timezone
+
+from fastapi import FastAPI
+from fastapi.middleware.cors import CORSMiddleware
+
+app = FastAPI(title="${name} API")
+
+# The frontend calls the API from the browser, on another port
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=["*"],
+    allow_methods=["*"],
+    allow_headers=["*"],
+)
+
+
+@app.get("/api/hello")
+def hello():
+    return {
+        "message": "Hello from ${name} API!",
+        "timestamp": datetime.now(timezone.utc).isoformat(),
+    }
+
+
+@app.get("/health")
+def health():
+    return {"status": "ok"}
+`
+  })
+};
+
+// Source files of the backend API, relative to backend/
+function getBackendFiles(backendId, options) {
+  return BACKEND_FILES[backendId](options);
+}
+
+// .dockerignore for a service directory; the images install their own
+// dependencies
+function generateServiceDockerignore(language) {
+  const ignored = language === 'python'
+    ? ['__pycache__', '*.pyc', 'venv/', '.pytest_cache/']
+    : ['node_modules', 'npm-debug.log', 'dist', 'build', '.next'];
+  return [...ignored, '.env', 'Dockerfile', '.dockerignore'].join('\n') + '\n';
+}
+
+module.exports = {
+  generateApiClient,
+  generateReactApp,
+  generateNextHealthRoute,
+  getNextFiles,
+  getBackendFiles,
+  generateServiceDockerignore
+};
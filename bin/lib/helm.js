@@ -0,0 +1,248 @@
+// Helm chart output (`init --k8s-format helm`): the same Kubernetes model as
+// the kustomize layout, with the model's settings in values.yaml and the
+// per-environment differences in values-<environment>.yaml.
+const yaml = require('./yaml');
+
+const CHART_DIR = 'chart';
+
+// Settings shared by every service; `services` lists one entry per workload
+function createHelmValues(model) {
+  const { options } = model;
+  return {
+    appName: model.appName,
+    image: {
+      registry: options.registry ? options.registry.replace(/\/+$/, '') : '',
+      tag: options.imageTag
+    },
+    replicaCount: options.replicas,
+    services: model.workloads.map(workload => ({
+      name: workload.resourceName,
+      component: workload.component,
+      image: workload.resourceName,
+      port: workload.port,
+      path: workload.path,
+      health: workload.health
+    })),
+    service: { type: options.serviceType, port: 80 },
+    resources: options.resources,
+    probes: options.probes,
+    autoscaling: {
+      ...options.autoscaling,
+      minReplicas: options.autoscaling.minReplicas || options.replicas
+    },
+    ingress: {
+      ...options.ingress,
+      host: options.ingress.host || `${model.appName}.example.com`
+    },
+    config: { ...model.config },
+    secretName: model.secrets.length > 0 ? model.secretName : null
+  };
+}
+
+// Only what an environment changes: replicas, image, ConfigMap values
+function createHelmEnvironmentValues(base, model) {
+  const values = {
+    replicaCount: model.options.replicas,
+    image: { tag: model.options.imageTag }
+  };
+  if (model.options.registry !== base.options.registry) {
+    values.image.registry = model.options.registry ? model.options.registry.replace(/\/+$/, '') : '';
+  }
+  if (base.options.autoscaling.enabled) {
+    values.autoscaling = { minReplicas: model.options.autoscaling.minReplicas || model.options.replicas };
+  }
+  values.config = { ...model.config };
+  return values;
+}
+
+const HELPERS_TEMPLATE = `{{/* Readiness/liveness probe for one service: (dict "probes" .Values.probes "port" .port "health" .health "delay" n) */}}
+{{- define "uds.probe" -}}
+{{- $path := .probes.path | default .health }}
+{{- if $path }}
+httpGet:
+  path: {{ $path }}
+  port: {{ .port }}
+{{- else }}
+tcpSocket:
+  port: {{ .port }}
+{{- end }}
+initialDelaySeconds: {{ .delay }}
+periodSeconds: {{ .probes.periodSeconds }}
+failureThreshold: {{ .probes.failureThreshold }}
+{{- end -}}
+`;
+
+const CONFIGMAP_TEMPLATE = `apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ .Values.appName }}-config
+  labels:
+    app: {{ .Values.appName }}
+data:
+  {{- range $key, $value := .Values.config }}
+  {{ $key }}: {{ $value | quote }}
+  {{- end }}
+`;
+
+const DEPLOYMENT_TEMPLATE = `{{- range .Values.services }}
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ .name }}
+  labels:
+    app: {{ $.Values.appName }}
+    component: {{ .component }}
+spec:
+  replicas: {{ $.Values.replicaCount }}
+  selector:
+    matchLabels:
+      app: {{ $.Values.appName }}
+      component: {{ .component }}
+  template:
+    metadata:
+      labels:
+        app: {{ $.Values.appName }}
+        component: {{ .component }}
+    spec:
+      containers:
+        - name: {{ .component }}
+          image: "{{ with $.Values.image.registry }}{{ . }}/{{ end }}{{ .image }}:{{ $.Values.image.tag }}"
+          ports:
+            - containerPort: {{ .port }}
+          envFrom:
+            - configMapRef:
+                name: {{ $.Values.appName }}-config
+            {{- with $.Values.secretName }}
+            - secretRef:
+                name: {{ . }}
+            {{- end }}
+          env:
+            - name: PORT
+              value: {{ .port | quote }}
+          resources:
+            {{- toYaml $.Values.resources | nindent 12 }}
+          readinessProbe:
+            {{- include "uds.probe" (dict "probes" $.Values.probes "port" .port "health" .health "delay" $.Values.probes.initialDelaySeconds) | nindent 12 }}
+          livenessProbe:
+            {{- include "uds.probe" (dict "probes" $.Values.probes "port" .port "health" .health "delay" (mul $.Values.probes.initialDelaySeconds 3)) | nindent 12 }}
+{{- end }}
+`;
+
+const SERVICE_TEMPLATE = `{{- range .Values.services }}
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ .name }}-service
+  labels:
+    app: {{ $.Values.appName }}
+    component: {{ .component }}
+spec:
+  type: {{ $.Values.service.type }}
+  selector:
+    app: {{ $.Values.appName }}
+    component: {{ .component }}
+  ports:
+    - protocol: TCP
+      port: {{ $.Values.service.port }}
+      targetPort: {{ .port }}
+{{- end }}
+`;
+
+const HPA_TEMPLATE = `{{- if .Values.autoscaling.enabled }}
+{{- range .Values.services }}
+---
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: {{ .name }}
+  labels:
+    app: {{ $.Values.appName }}
+    component: {{ .component }}
+spec:
+  scaleTargetRef:
+    apiVersion: apps/v1
+    kind: Deployment
+    name: {{ .name }}
+  minReplicas: {{ $.Values.autoscaling.minReplicas }}
+  maxReplicas: {{ $.Values.autoscaling.maxReplicas }}
+  metrics:
+    - type: Resource
+      resource:
+        name: cpu
+        target:
+          type: Utilization
+          averageUtilization: {{ $.Values.autoscaling.targetCPUUtilizationPercentage }}
+{{- end }}
+{{- end }}
+`;
+
+const INGRESS_TEMPLATE = `{{- if .Values.ingress.enabled }}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: {{ .Values.appName }}
+  labels:
+    app: {{ .Values.appName }}
+spec:
+  {{- with .Values.ingress.className }}
+  ingressClassName: {{ . }}
+  {{- end }}
+  {{- if .Values.ingress.tls }}
+  tls:
+    - hosts:
+        - {{ .Values.ingress.host }}
+      secretName: {{ .Values.appName }}-tls
+  {{- end }}
+  rules:
+    - host: {{ .Values.ingress.host }}
+      http:
+        paths:
+          {{- range .Values.services }}
+          - path: {{ .path }}
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ .name }}-service
+                port:
+                  number: {{ $.Values.service.port }}
+          {{- end }}
+{{- end }}
+`;
+
+// chart/<file> contents. `base` is the base model; `environments` maps each
+// environment to its model
+function createHelmChart(base, environments) {
+  const files = {
+    'Chart.yaml': yaml.stringify({
+      apiVersion: 'v2',
+      name: base.appName,
+      description: `Helm chart for ${base.appName}`,
+      type: 'application',
+      version: '0.1.0',
+      appVersion: base.options.imageTag
+    }),
+    'values.yaml': yaml.stringify(createHelmValues(base))
+  };
+  Object.entries(environments).forEach(([environment, model]) => {
+    files[`values-${environment}.yaml`] = yaml.stringify(createHelmEnvironmentValues(base, model));
+  });
+
+  return {
+    ...files,
+    'templates/_helpers.tpl': HELPERS_TEMPLATE,
+    'templates/configmap.yaml': CONFIGMAP_TEMPLATE,
+    'templates/deployment.yaml': DEPLOYMENT_TEMPLATE,
+    'templates/service.yaml': SERVICE_TEMPLATE,
+    'templates/hpa.yaml': HPA_TEMPLATE,
+    'templates/ingress.yaml': INGRESS_TEMPLATE
+  };
+}
+
+module.exports = {
+  CHART_DIR,
+  createHelmValues,
+  createHelmEnvironmentValues,
+  createHelmChart
+};
@@ -0,0 +1,115 @@
+// Host ports for `init` and `uds ports`. Every project publishes its
+// services on the host (compose `ports:`, devcontainer `-p`), so a second
+// project on the same machine would collide on 3000/5432. Ports already in
+// use, or claimed by another project in ~/.universal-dev-env/ports.json, are
+// moved to the next free port; `hostPorts` maps container port -> host port
+// for the ones that moved.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+
+const MAX_PORT = 65535;
+
+function getRegistryFile() {
+  return path.join(os.homedir(), '.universal-dev-env', 'ports.json');
+}
+
+// { projects: { <root>: { name, ports } } }, without projects that were deleted
+function readRegistry(file = getRegistryFile()) {
+  let registry = { projects: {} };
+  try {
+    registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Missing or unreadable: nothing claimed yet
+  }
+  const projects = Object.fromEntries(Object.entries(registry.projects || {}).filter(([root]) => fs.existsSync(root)));
+  return { projects };
+}
+
+function claimHostPorts(root, name, ports, file = getRegistryFile()) {
+  const registry = readRegistry(file);
+  registry.projects[root] = { name, ports: [...new Set(ports)].sort((a, b) => a - b) };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+}
+
+// Host ports claimed by projects other than `root`: port -> project name
+function getClaimedPorts(root, registry) {
+  const claimed = new Map();
+  Object.entries(registry.projects)
+    .filter(([projectRoot]) => projectRoot !== root)
+    .forEach(([, project]) => project.ports.forEach(port => claimed.set(port, project.name)));
+  return claimed;
+}
+
+// Whether something already listens on the port (Docker publishes on all interfaces)
+function isPortInUse(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(true));
+    server.once('listening', () => server.close(() => resolve(false)));
+    server.listen({ port, host: '0.0.0.0', exclusive: true });
+  });
+}
+
+// Why the host port cannot be used, or null when it is free. Ports this
+// project claimed itself are assumed to be in use by its own containers.
+async function getPortConflict(port, { claimed, own, isInUse }) {
+  if (claimed.has(port)) {
+    return `claimed by ${claimed.get(port)}`;
+  }
+  if (!own.has(port) && await isInUse(port)) {
+    return 'in use';
+  }
+  return null;
+}
+
+// Host port for every container port in `ports`: { hostPorts, changes }.
+// `current` is the project's saved hostPorts; `changes` lists
+// { port, from, to, reason } for each port that had to move.
+async function assignHostPorts(ports, { root, current = {}, registryFile = getRegistryFile(), isInUse = isPortInUse } = {}) {
+  const registry = readRegistry(registryFile);
+  const claimed = getClaimedPorts(root, registry);
+  const own = new Set((registry.projects[root] || { ports: [] }).ports);
+  const context = { claimed, own, isInUse };
+
+  const wanted = ports.map(port => ({ port, host: Number(current[port]) || port }));
+  const conflicts = [];
+  const taken = new Set();
+  for (const entry of wanted) {
+    const reason = taken.has(entry.host) ? 'used twice' : await getPortConflict(entry.host, context);
+    if (reason) {
+      conflicts.push({ entry, reason });
+    } else {
+      taken.add(entry.host);
+    }
+  }
+
+  const changes = [];
+  for (const { entry, reason } of conflicts) {
+    let candidate = entry.host + 1;
+    while (candidate <= MAX_PORT && (taken.has(candidate) || wanted.some(({ host }) => host === candidate) || await getPortConflict(candidate, context))) {
+      candidate++;
+    }
+    if (candidate > MAX_PORT) {
+      throw new Error(`No free host port above ${entry.host} for container port ${entry.port}`);
+    }
+    taken.add(candidate);
+    entry.host = candidate;
+    changes.push({ port: entry.port, from: Number(current[entry.port]) || entry.port, to: candidate, reason });
+  }
+
+  const hostPorts = Object.fromEntries(wanted.filter(({ port, host }) => host !== port).map(({ port, host }) => [port, host]));
+  return { hostPorts, changes };
+}
+
+module.exports = {
+  getRegistryFile,
+  readRegistry,
+  claimHostPorts,
+  getClaimedPorts,
+  isPortInUse,
+  getPortConflict,
+  assignHostPorts
+};
@@ -0,0 +1,325 @@
+// Kubernetes manifests for the deployable services, laid out for kustomize:
+// k8s/base holds the manifests and k8s/overlays/<environment> patches them.
+// Every setting comes from the `kubernetes` options in uds.config.json
+// (merged over the defaults below); the builders return plain objects that
+// callers serialize to YAML.
+
+// kustomize: k8s/base + k8s/overlays/<environment>; helm: a chart/ directory
+const KUBERNETES_FORMATS = ['kustomize', 'helm'];
+
+const DEFAULT_KUBERNETES_OPTIONS = {
+  format: 'kustomize',
+  namespace: null,
+  registry: null,
+  imageTag: '1.0.0',
+  replicas: 2,
+  serviceType: 'ClusterIP',
+  resources: {
+    requests: { cpu: '100m', memory: '128Mi' },
+    limits: { cpu: '500m', memory: '512Mi' }
+  },
+  // With no `path` the probes GET each service's health endpoint, or open a
+  // TCP connection to the container port when it has none
+  probes: {
+    path: null,
+    initialDelaySeconds: 10,
+    periodSeconds: 10,
+    failureThreshold: 3
+  },
+  autoscaling: {
+    enabled: true,
+    minReplicas: null, // defaults to `replicas`
+    maxReplicas: 5,
+    targetCPUUtilizationPercentage: 70
+  },
+  ingress: {
+    enabled: true,
+    host: null, // defaults to <app>.example.com
+    className: null,
+    tls: false
+  },
+  // Per-overlay overrides of replicas, imageTag, registry and namespace
+  environments: {
+    staging: { replicas: 1 },
+    production: {}
+  }
+};
+
+const KUSTOMIZE_API_VERSION = 'kustomize.config.k8s.io/v1beta1';
+
+// The stub is kept next to the base but never applied, so `kubectl apply -k`
+// cannot overwrite the real Secret with placeholders
+const UNAPPLIED_MANIFESTS = ['secret.yaml'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeOptions(defaults, overrides) {
+  const merged = { ...defaults };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeOptions(defaults[key], value) : value;
+  });
+  return merged;
+}
+
+// With an environment, that overlay's overrides are applied on top
+function resolveKubernetesOptions(options = {}, environment = null) {
+  const { environments, ...resolved } = mergeOptions(DEFAULT_KUBERNETES_OPTIONS, options);
+  return environment ? mergeOptions(resolved, environments[environment] || {}) : { ...resolved, environments };
+}
+
+function toResourceName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// The deployment model shared by the manifest builders:
+//   appName      project name, already a valid resource name
+//   workloads    [{ name, role, port, health }] - one Deployment/Service each
+//   config       non-secret variables for the ConfigMap
+//   secrets      keys for the Secret stub
+//   environment  overlay the model describes; null for the base
+function createKubernetesModel({ appName, workloads, config = {}, secrets = [], options = {}, environment = null }) {
+  const resolved = resolveKubernetesOptions(options, environment);
+  const name = toResourceName(appName);
+  // Browser-facing workloads get "/" on the Ingress; with one of those in
+  // front, the others are routed under "/api"
+  const hasWeb = workloads.some(workload => workload.role === 'web');
+
+  return {
+    appName: name,
+    options: resolved,
+    config,
+    secrets,
+    environment,
+    configMapName: `${name}-config`,
+    secretName: `${name}-secrets`,
+    workloads: workloads.map(workload => {
+      const workloadName = workloads.length === 1 ? name : `${name}-${toResourceName(workload.name)}`;
+      const imageName = `${resolved.registry ? `${resolved.registry.replace(/\/+$/, '')}/` : ''}${workloadName}`;
+      return {
+        ...workload,
+        component: toResourceName(workload.name),
+        path: hasWeb && workload.role !== 'web' ? '/api' : '/',
+        resourceName: workloadName,
+        serviceName: `${workloadName}-service`,
+        imageName,
+        image: `${imageName}:${resolved.imageTag}`
+      };
+    })
+  };
+}
+
+function metadata(model, name, labels = {}) {
+  return {
+    name,
+    ...(model.options.namespace ? { namespace: model.options.namespace } : {}),
+    labels: { app: model.appName, ...labels }
+  };
+}
+
+function selectorLabels(model, workload) {
+  return { app: model.appName, component: workload.component };
+}
+
+function probe(model, workload) {
+  const { initialDelaySeconds, periodSeconds, failureThreshold } = model.options.probes;
+  const path = model.options.probes.path || workload.health;
+  const handler = path ? { httpGet: { path, port: workload.port } } : { tcpSocket: { port: workload.port } };
+  return { ...handler, initialDelaySeconds, periodSeconds, failureThreshold };
+}
+
+function createConfigMap(model) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: metadata(model, model.configMapName),
+    data: { ...model.config }
+  };
+}
+
+// Values are placeholders; create the real Secret outside git
+function createSecret(model) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: metadata(model, model.secretName),
+    type: 'Opaque',
+    stringData: Object.fromEntries(model.secrets.map(key => [key, 'REQUIRED']))
+  };
+}
+
+function createDeployment(model, workload) {
+  const labels = selectorLabels(model, workload);
+  const envFrom = [{ configMapRef: { name: model.configMapName } }];
+  if (model.secrets.length > 0) {
+    envFrom.push({ secretRef: { name: model.secretName } });
+  }
+
+  return {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: metadata(model, workload.resourceName, { component: labels.component }),
+    spec: {
+      replicas: model.options.replicas,
+      selector: { matchLabels: labels },
+      template: {
+        metadata: { labels },
+        spec: {
+          containers: [{
+            name: workload.component,
+            image: workload.image,
+            ports: [{ containerPort: workload.port }],
+            envFrom,
+            env: [{ name: 'PORT', value: String(workload.port) }],
+            resources: model.options.resources,
+            readinessProbe: probe(model, workload),
+            livenessProbe: { ...probe(model, workload), initialDelaySeconds: model.options.probes.initialDelaySeconds * 3 }
+          }]
+        }
+      }
+    }
+  };
+}
+
+function createService(model, workload) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: metadata(model, workload.serviceName, { component: workload.component }),
+    spec: {
+      type: model.options.serviceType,
+      selector: selectorLabels(model, workload),
+      ports: [{ protocol: 'TCP', port: 80, targetPort: workload.port }]
+    }
+  };
+}
+
+function createHorizontalPodAutoscaler(model, workload) {
+  const { minReplicas, maxReplicas, targetCPUUtilizationPercentage } = model.options.autoscaling;
+  return {
+    apiVersion: 'autoscaling/v2',
+    kind: 'HorizontalPodAutoscaler',
+    metadata: metadata(model, workload.resourceName, { component: workload.component }),
+    spec: {
+      scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: workload.resourceName },
+      minReplicas: minReplicas || model.options.replicas,
+      maxReplicas,
+      metrics: [{
+        type: 'Resource',
+        resource: { name: 'cpu', target: { type: 'Utilization', averageUtilization: targetCPUUtilizationPercentage } }
+      }]
+    }
+  };
+}
+
+function createIngress(model) {
+  const { host, className, tls } = model.options.ingress;
+  const ingressHost = host || `${model.appName}.example.com`;
+  const spec = {};
+
+  if (className) {
+    spec.ingressClassName = className;
+  }
+  if (tls) {
+    spec.tls = [{ hosts: [ingressHost], secretName: `${model.appName}-tls` }];
+  }
+  spec.rules = [{
+    host: ingressHost,
+    http: {
+      paths: model.workloads.map(workload => ({
+        path: workload.path,
+        pathType: 'Prefix',
+        backend: { service: { name: workload.serviceName, port: { number: 80 } } }
+      }))
+    }
+  }];
+
+  return {
+    apiVersion: 'networking.k8s.io/v1',
+    kind: 'Ingress',
+    metadata: metadata(model, model.appName),
+    spec
+  };
+}
+
+// Manifest documents per file name, in apply order
+function createKubernetesManifests(model) {
+  const manifests = {
+    'configmap.yaml': [createConfigMap(model)],
+    'secret.yaml': [createSecret(model)],
+    'deployment.yaml': model.workloads.map(workload => createDeployment(model, workload)),
+    'service.yaml': model.workloads.map(workload => createService(model, workload))
+  };
+  if (model.options.autoscaling.enabled) {
+    manifests['hpa.yaml'] = model.workloads.map(workload => createHorizontalPodAutoscaler(model, workload));
+  }
+  if (model.options.ingress.enabled) {
+    manifests['ingress.yaml'] = [createIngress(model)];
+  }
+  return manifests;
+}
+
+function createBaseKustomization(files) {
+  return {
+    apiVersion: KUSTOMIZE_API_VERSION,
+    kind: 'Kustomization',
+    resources: files.filter(file => !UNAPPLIED_MANIFESTS.includes(file))
+  };
+}
+
+// Files for k8s/overlays/<environment>: the kustomization sets replicas and
+// image tags, and strategic-merge patches carry the environment's ConfigMap
+// values and matching autoscaler minimums. `base` is the base model.
+function createKustomizeOverlay(base, model) {
+  const patches = {
+    'configmap.yaml': [{
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: { name: model.configMapName },
+      data: { ...model.config }
+    }]
+  };
+  if (base.options.autoscaling.enabled) {
+    patches['hpa.yaml'] = model.workloads.map(workload => ({
+      apiVersion: 'autoscaling/v2',
+      kind: 'HorizontalPodAutoscaler',
+      metadata: { name: workload.resourceName },
+      spec: { minReplicas: model.options.autoscaling.minReplicas || model.options.replicas }
+    }));
+  }
+
+  const kustomization = {
+    apiVersion: KUSTOMIZE_API_VERSION,
+    kind: 'Kustomization',
+    resources: ['../../base']
+  };
+  if (model.options.namespace) {
+    kustomization.namespace = model.options.namespace;
+  }
+  kustomization.images = model.workloads.map((workload, index) => ({
+    name: base.workloads[index].imageName,
+    ...(workload.imageName !== base.workloads[index].imageName ? { newName: workload.imageName } : {}),
+    newTag: model.options.imageTag
+  }));
+  kustomization.replicas = model.workloads.map(workload => ({ name: workload.resourceName, count: model.options.replicas }));
+  kustomization.patches = Object.keys(patches).map(file => ({ path: file }));
+
+  return { 'kustomization.yaml': [kustomization], ...patches };
+}
+
+module.exports = {
+  KUBERNETES_FORMATS,
+  DEFAULT_KUBERNETES_OPTIONS,
+  resolveKubernetesOptions,
+  createKubernetesModel,
+  createConfigMap,
+  createSecret,
+  createDeployment,
+  createService,
+  createHorizontalPodAutoscaler,
+  createIngress,
+  createKubernetesManifests,
+  createBaseKustomization,
+  createKustomizeOverlay
+};
@@ -0,0 +1,182 @@
+// Line-based diff, unified diff output and three-way merge for generated files
+
+function splitLines(text) {
+  return text.split('\n');
+}
+
+// Longest common subsequence between two line arrays. Returns, for every
+// line of `a`, the index of the matching line in `b` (or -1).
+function matchLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+// Three-way merge of `ours` (the user's file) and `theirs` (new generator
+// output) against their common `base` (previous generator output).
+// Returns { content, conflicts } where conflicting hunks are wrapped in
+// git-style markers.
+function merge3(base, ours, theirs, labels = {}) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const oursMatch = matchLines(baseLines, ourLines);
+  const theirsMatch = matchLines(baseLines, theirLines);
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  for (;;) {
+    // Stable region: lines unchanged on both sides
+    while (i < baseLines.length && oursMatch[i] === a && theirsMatch[i] === b) {
+      output.push(baseLines[i]);
+      i++;
+      a++;
+      b++;
+    }
+
+    if (i >= baseLines.length && a >= ourLines.length && b >= theirLines.length) {
+      break;
+    }
+
+    // Next base line both sides still agree on
+    let j = i;
+    while (j < baseLines.length && (oursMatch[j] === -1 || theirsMatch[j] === -1)) {
+      j++;
+    }
+    const oursEnd = j < baseLines.length ? oursMatch[j] : ourLines.length;
+    const theirsEnd = j < baseLines.length ? theirsMatch[j] : theirLines.length;
+
+    const baseChunk = baseLines.slice(i, j);
+    const oursChunk = ourLines.slice(a, oursEnd);
+    const theirsChunk = theirLines.slice(b, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.ours || 'yours'}`,
+        ...oursChunk,
+        '=======',
+        ...theirsChunk,
+        `>>>>>>> ${labels.theirs || 'generated'}`
+      );
+    }
+
+    i = j;
+    a = oursEnd;
+    b = theirsEnd;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
+
+// Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  const matches = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+
+  a.forEach((line, i) => {
+    if (matches[i] === -1) {
+      ops.push({ type: '-', line });
+      return;
+    }
+    while (j < matches[i]) {
+      ops.push({ type: '+', line: b[j++] });
+    }
+    ops.push({ type: ' ', line });
+    j++;
+  });
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+
+  return ops;
+}
+
+function toLines(text) {
+  return text ? text.replace(/\n$/, '').split('\n') : [];
+}
+
+// Unified diff (as printed by `diff -u`) of two texts, or '' when equal
+function unifiedDiff(oldText, newText, options = {}) {
+  const context = options.context === undefined ? 3 : options.context;
+  const ops = diffLines(toLines(oldText || ''), toLines(newText || ''));
+  const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+
+  if (changes.length === 0) {
+    return '';
+  }
+
+  // Group changes whose surrounding context overlaps into hunks
+  const hunks = [];
+  changes.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [
+    `--- ${options.fromFile || 'a'}`,
+    `+++ ${options.toFile || 'b'}`
+  ];
+
+  hunks.forEach(hunk => {
+    const start = Math.max(0, hunk.start - context);
+    const end = Math.min(ops.length, hunk.end + context + 1);
+    const before = ops.slice(0, start);
+    const body = ops.slice(start, end);
+    const oldBefore = before.filter(op => op.type !== '+').length;
+    const newBefore = before.filter(op => op.type !== '-').length;
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+
+    output.push(`@@ -${oldCount ? oldBefore + 1 : oldBefore},${oldCount} +${newCount ? newBefore + 1 : newBefore},${newCount} @@`);
+    body.forEach(op => output.push(`${op.type}${op.line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  matchLines,
+  merge3,
+  unifiedDiff
+};
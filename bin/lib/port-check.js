@@ -0,0 +1,331 @@
+// Cross-file port consistency behind `uds doctor`. Every generated file that
+// names an app service's port - compose, Dockerfiles, k8s/, the Helm values
+// and the devcontainer - goes into one port map, and whatever disagrees with
+// the rest is reported with its file and line. Files are { path: content }.
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('./yaml');
+const { parseDockerfile } = require('./dockerfile-lint');
+
+// Port map key for the app of a one-service project (a root Dockerfile, or a
+// Deployment without a component label)
+const APP = '';
+const COMPOSE_FILE_PATTERN = /^(docker-)?compose(\.[\w-]+)?\.ya?ml$/;
+const DEVCONTAINER_FILES = ['.devcontainer/devcontainer.json', '.devcontainer/devcontainer.yml', '.devcontainer/devcontainer.yaml', 'devcontainer.universal.json'];
+const DEV_DOCKERFILE = 'Dockerfile.universal';
+const HELM_VALUES = 'chart/values.yaml';
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '.uds', 'venv', '.venv', '__pycache__']);
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Line lookups inside one file, optionally limited to [from, to)
+function createLines(content) {
+  const lines = content.split(/\r?\n/);
+  return {
+    find(pattern, from = 0, to = lines.length) {
+      for (let index = from; index < Math.min(to, lines.length); index++) {
+        if (pattern.test(lines[index])) {
+          return index + 1;
+        }
+      }
+      return null;
+    },
+    // [start, end) of each `---`-separated document
+    documents() {
+      const starts = [0, ...lines.flatMap((line, index) => /^---\s*$/.test(line) ? [index + 1] : [])];
+      return starts.map((start, index) => [start, index + 1 < starts.length ? starts[index + 1] - 1 : lines.length]);
+    }
+  };
+}
+
+function parse(content, all = false) {
+  try {
+    return all ? yaml.parseAll(content) : yaml.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+// `[host:]container[/protocol]`, a number, or { target }
+function getContainerPort(spec) {
+  if (typeof spec === 'number') {
+    return spec;
+  }
+  if (spec && typeof spec === 'object') {
+    return Number(spec.target) || null;
+  }
+  const match = String(spec).match(/(\d+)(\/\w+)?$/);
+  return match ? Number(match[1]) : null;
+}
+
+function getPortVariable(environment) {
+  if (Array.isArray(environment)) {
+    const entry = environment.find(item => String(item).startsWith('PORT='));
+    return entry ? Number(entry.slice('PORT='.length)) : null;
+  }
+  return environment && environment.PORT !== undefined ? Number(environment.PORT) : null;
+}
+
+function readCompose(file, content, map) {
+  const compose = parse(content);
+  if (!compose || !compose.services) {
+    return;
+  }
+  const lines = createLines(content);
+
+  // Backing services (no build) keep their image's port
+  Object.entries(compose.services).filter(([, service]) => service && service.build).forEach(([name, service]) => {
+    const start = lines.find(new RegExp(`^\\s+${escapeRegExp(name)}:\\s*$`)) || 0;
+    (service.ports || []).forEach(spec => {
+      const port = getContainerPort(spec);
+      const raw = typeof spec === 'object' ? `target:\\s*${port}` : escapeRegExp(spec);
+      map.add(name, port, file, lines.find(new RegExp(raw), start), `ports ${typeof spec === 'object' ? port : spec}`);
+    });
+    const variable = getPortVariable(service.environment);
+    if (variable) {
+      map.add(name, variable, file, lines.find(/PORT[=:]/, start), `PORT=${variable}`);
+    }
+
+    const build = typeof service.build === 'string' ? { context: service.build } : service.build;
+    const dockerfile = path.posix.normalize(path.posix.join(path.posix.dirname(file), build.context || '.', build.dockerfile || 'Dockerfile'));
+    map.builds.set(dockerfile, name);
+  });
+}
+
+// EXPOSE and ENV PORT of the final stage, or of every stage
+function readDockerfile(content, allStages = false) {
+  const instructions = parseDockerfile(content);
+  const lastFrom = allStages ? -1 : instructions.map(({ instruction }) => instruction).lastIndexOf('FROM');
+  return instructions.slice(lastFrom + 1).flatMap(({ line, instruction, args }) => {
+    if (instruction === 'EXPOSE') {
+      return args.split(/\s+/).map(getContainerPort).filter(Boolean).map(port => ({ line, port, label: `EXPOSE ${port}` }));
+    }
+    const variable = instruction === 'ENV' && args.match(/^PORT[=\s]+"?(\d+)/);
+    return variable ? [{ line, port: Number(variable[1]), label: `ENV PORT ${variable[1]}` }] : [];
+  });
+}
+
+function readKubernetes(file, content, map) {
+  const documents = parse(content, true);
+  if (!documents) {
+    return;
+  }
+  const lines = createLines(content);
+  const ranges = lines.documents();
+
+  documents.forEach((document, index) => {
+    if (!document || !document.spec) {
+      return;
+    }
+    const [start, end] = ranges[index] || [0, undefined];
+
+    if (document.kind === 'Deployment') {
+      const template = document.spec.template || {};
+      const component = ((template.metadata || {}).labels || {}).component || APP;
+      ((template.spec || {}).containers || []).forEach(container => {
+        (container.ports || []).slice(0, 1).forEach(({ containerPort }) => {
+          map.add(component, containerPort, file, lines.find(new RegExp(`containerPort:\\s*${containerPort}\\b`), start, end), `containerPort: ${containerPort}`);
+        });
+        const variable = getPortVariable(Object.fromEntries((container.env || []).map(({ name, value }) => [name, value])));
+        if (variable) {
+          const name = lines.find(/name:\s*PORT\s*$/, start, end);
+          map.add(component, variable, file, name && lines.find(/value:/, name, end), `PORT=${variable}`);
+        }
+        ['readinessProbe', 'livenessProbe'].forEach(probe => {
+          const check = container[probe] && (container[probe].httpGet || container[probe].tcpSocket);
+          if (check && typeof check.port === 'number') {
+            const at = lines.find(new RegExp(`${probe}:`), start, end);
+            map.add(component, check.port, file, at && lines.find(/port:/, at, end), `${probe} port ${check.port}`);
+          }
+        });
+      });
+    } else if (document.kind === 'Service') {
+      const component = (document.spec.selector || {}).component || APP;
+      (document.spec.ports || []).filter(({ targetPort }) => typeof targetPort === 'number').forEach(({ targetPort }) => {
+        map.add(component, targetPort, file, lines.find(new RegExp(`targetPort:\\s*${targetPort}\\b`), start, end), `targetPort: ${targetPort}`);
+      });
+      map.servicePorts.set(document.metadata.name, (document.spec.ports || []).map(({ port }) => port));
+    } else if (document.kind === 'Ingress') {
+      (document.spec.rules || []).flatMap(rule => (rule.http && rule.http.paths) || []).forEach(({ backend }) => {
+        const service = backend && backend.service;
+        if (service && service.port && typeof service.port.number === 'number') {
+          map.backends.push({ file, line: lines.find(new RegExp(`number:\\s*${service.port.number}\\b`), start, end), name: service.name, port: service.port.number });
+        }
+      });
+    }
+  });
+}
+
+function readHelmValues(file, content, map) {
+  const values = parse(content);
+  if (!values || !Array.isArray(values.services)) {
+    return;
+  }
+  const lines = createLines(content);
+  values.services.forEach(service => {
+    const start = lines.find(new RegExp(`component:\\s*['"]?${escapeRegExp(service.component)}['"]?\\s*$`)) || 0;
+    const at = lines.find(new RegExp(`port:\\s*${service.port}\\b`), start);
+    map.add(service.component || APP, service.port, file, at, `port: ${service.port}`);
+  });
+}
+
+// Devcontainer files and the dev image forward or expose every app port
+function readForwarded(file, content) {
+  const lines = createLines(content);
+  if (path.posix.basename(file) === DEV_DOCKERFILE) {
+    const exposed = readDockerfile(content, true).filter(({ label }) => label.startsWith('EXPOSE'));
+    return { file, line: exposed.length > 0 ? exposed[0].line : null, label: 'EXPOSE', ports: exposed.map(({ port }) => port) };
+  }
+  let config = null;
+  try {
+    config = file.endsWith('.json') ? JSON.parse(content) : yaml.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!config || !Array.isArray(config.forwardPorts)) {
+    return null;
+  }
+  return {
+    file,
+    line: lines.find(/forwardPorts/),
+    label: 'forwardPorts',
+    ports: config.forwardPorts.map(Number),
+    service: config.service || null
+  };
+}
+
+function createPortMap() {
+  const entries = [];
+  return {
+    entries,
+    builds: new Map(),
+    servicePorts: new Map(),
+    backends: [],
+    add(service, port, file, line, label) {
+      if (Number.isInteger(Number(port))) {
+        entries.push({ service, port: Number(port), file, line: line || null, label });
+      }
+    }
+  };
+}
+
+// Port map ({ service: [{ port, file, line, label }] }) of the given files
+function collectPorts(files) {
+  const map = createPortMap();
+  const paths = Object.keys(files).sort();
+
+  paths.filter(file => COMPOSE_FILE_PATTERN.test(file)).forEach(file => readCompose(file, files[file], map));
+  paths.filter(file => file.startsWith('k8s/') && /\.ya?ml$/.test(file) && path.posix.basename(file) !== 'kustomization.yaml')
+    .forEach(file => readKubernetes(file, files[file], map));
+  if (files[HELM_VALUES] !== undefined) {
+    readHelmValues(HELM_VALUES, files[HELM_VALUES], map);
+  }
+
+  const forwarded = paths
+    .filter(file => DEVCONTAINER_FILES.includes(file) || path.posix.basename(file) === DEV_DOCKERFILE)
+    .map(file => readForwarded(file, files[file]))
+    .filter(Boolean);
+  const primary = (forwarded.find(source => source.service) || {}).service;
+
+  // Dockerfiles belong to the compose service that builds them, or else to
+  // the service named after their directory. A root Dockerfile that compose
+  // does not build belongs to the compose service publishing the port it
+  // exposes (React + Express runs its server), or else the devcontainer's
+  paths.filter(file => path.posix.basename(file) === 'Dockerfile').forEach(file => {
+    const directory = path.posix.dirname(file);
+    const ports = readDockerfile(files[file]);
+    const published = directory === '.' && map.entries
+      .find(entry => COMPOSE_FILE_PATTERN.test(entry.file) && ports.some(({ port }) => Number(port) === entry.port));
+    const service = map.builds.get(file) ||
+      (directory === '.' ? (published && published.service) || primary || APP : path.posix.basename(directory));
+    ports.forEach(({ line, port, label }) => map.add(service, port, file, line, label));
+  });
+
+  // A one-service project names its app differently per file
+  const named = [...new Set(map.entries.map(entry => entry.service).filter(service => service !== APP))];
+  map.entries.filter(entry => entry.service === APP).forEach(entry => {
+    entry.service = named.length === 1 ? named[0] : 'app';
+  });
+
+  const services = {};
+  map.entries.forEach(({ service, ...entry }) => {
+    services[service] = [...(services[service] || []), entry];
+  });
+  return { services, forwarded, servicePorts: map.servicePorts, backends: map.backends };
+}
+
+// The port most files agree on; ties go to the first file read (compose)
+function getAgreedPort(entries) {
+  const counts = new Map();
+  entries.forEach(({ port }) => counts.set(port, (counts.get(port) || 0) + 1));
+  return [...counts.entries()].reduce((best, current) => current[1] > best[1] ? current : best)[0];
+}
+
+function location({ file, line }) {
+  return line ? `${file}:${line}` : file;
+}
+
+// Mismatches between the files: [{ file, line, message }]
+function checkPortConsistency(files) {
+  const { services, forwarded, servicePorts, backends } = collectPorts(files);
+  const issues = [];
+  const agreed = {};
+
+  Object.entries(services).forEach(([service, entries]) => {
+    const port = getAgreedPort(entries);
+    agreed[service] = port;
+    const witnesses = entries.filter(entry => entry.port === port);
+    entries.filter(entry => entry.port !== port).forEach(entry => {
+      const where = witnesses.slice(0, 3).map(location).join(', ');
+      issues.push({ file: entry.file, line: entry.line, message: `${entry.label}, but "${service}" runs on ${port} in ${where}` });
+    });
+  });
+
+  forwarded.forEach(source => {
+    Object.entries(agreed)
+      .filter(([, port]) => !source.ports.includes(port))
+      .forEach(([service, port]) => issues.push({ file: source.file, line: source.line, message: `${source.label} is missing ${port} ("${service}")` }));
+  });
+
+  backends
+    .filter(({ name, port }) => servicePorts.has(name) && !servicePorts.get(name).includes(port))
+    .forEach(({ file, line, name, port }) => issues.push({
+      file,
+      line,
+      message: `routes to port ${port} of Service ${name}, which listens on ${servicePorts.get(name).join(', ')}`
+    }));
+
+  return issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+}
+
+// Whether checkPortConsistency reads the file
+function isPortFile(file) {
+  const name = path.posix.basename(file);
+  return COMPOSE_FILE_PATTERN.test(file) ||
+    DEVCONTAINER_FILES.includes(file) ||
+    name === 'Dockerfile' ||
+    name === DEV_DOCKERFILE ||
+    file === HELM_VALUES ||
+    (file.startsWith('k8s/') && /\.ya?ml$/.test(file));
+}
+
+// The files checkPortConsistency reads, from a project on disk
+function readPortFiles(rootDir, dir = '', depth = 4) {
+  return fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).reduce((files, entry) => {
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return depth > 0 && !SKIPPED_DIRECTORIES.has(entry.name) ? { ...files, ...readPortFiles(rootDir, relative, depth - 1) } : files;
+    }
+    return isPortFile(relative) ? { ...files, [relative]: fs.readFileSync(path.join(rootDir, relative), 'utf8') } : files;
+  }, {});
+}
+
+module.exports = {
+  isPortFile,
+  readPortFiles,
+  collectPorts,
+  checkPortConsistency
+};
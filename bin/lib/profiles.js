@@ -0,0 +1,185 @@
+// Project-type profiles: everything `init` knows about a stack (strategy,
+// services and ports, VS Code extensions, package.json, Dockerfile recipe,
+// key directories) lives in profiles.json, which the CLI, uds-ai-setup and
+// the VS Code extension all read. A project type's own fields apply to every
+// backend; `backends.<id>` and `ml` replace top-level fields for that choice.
+// Services marked `bundled` are built by one of the type's `bundlers`, which
+// supplies their port, env prefix and, for an app at the root, the
+// package.json and Dockerfile the backend adds to. With `typescript` set,
+// the `typescript` overlays of the type, backend and bundler are deep-merged
+// on top; types without one (Python) have no TypeScript variant. Python
+// apps get a `frameworks` entry (whose port replaces the ports marked
+// `framework`) and a `packageManagers` entry; `requirements` lists the
+// Python packages. Full-stack apps pair a `backends` entry with a
+// `frontends` entry: one with its own `port` (Next.js) builds the bundled
+// service itself, the others leave it to a bundler. `bundlers` may name
+// another project type to share its bundlers, and `defaultBackend` applies
+// when the config's backend is not one of the type's. A service's `health`
+// is the path its scaffold answers health checks on, and a `dockerfile`
+// with a `service` runs that service rather than the one at the root.
+const { mergeOverlay } = require('./templates');
+const PROFILES = require('./profiles.json');
+
+const FALLBACK_TYPE = 'custom';
+
+// Project types offered by `init`, in prompt order: [{ id, name, icon }]
+function listProjectTypes() {
+  return Object.entries(PROFILES).map(([id, { name, icon }]) => ({ id, name, icon }));
+}
+
+// A project type's choice map (`backends`, `bundlers`, ...), following a
+// reference to another type's map
+function getChoices(profile, key) {
+  const choices = (profile && profile[key]) || {};
+  return typeof choices === 'string' ? PROFILES[choices][key] : choices;
+}
+
+// Entries of a project type's choice map: [{ id, name, icon }]
+function listChoices(projectType, key) {
+  return Object.entries(getChoices(PROFILES[projectType], key)).map(([id, { name, icon }]) => ({ id, name, icon }));
+}
+
+// Backends a project type can pair with
+function listBackends(projectType) {
+  return listChoices(projectType, 'backends');
+}
+
+// Bundlers a project type's React app can be built with
+function listBundlers(projectType) {
+  return listChoices(projectType, 'bundlers');
+}
+
+// Frontends a (full-stack) project type can pair with its backend
+function listFrontends(projectType) {
+  return listChoices(projectType, 'frontends');
+}
+
+// Web frameworks a project type's (Python) app can be scaffolded with
+function listFrameworks(projectType) {
+  return listChoices(projectType, 'frameworks');
+}
+
+// Dependency managers for a project type's (Python) requirements
+function listPackageManagers(projectType) {
+  return listChoices(projectType, 'packageManagers');
+}
+
+function supportsTypeScript(projectType) {
+  const profile = PROFILES[projectType];
+  return Boolean(profile && profile.typescript);
+}
+
+function isKnownProjectType(projectType) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, projectType);
+}
+
+// The resolved profile for a config; unknown project types (custom
+// templates) get the generic one. Callers get their own copy to modify.
+function getProfile(config) {
+  const projectType = isKnownProjectType(config.projectType) ? config.projectType : FALLBACK_TYPE;
+  const {
+    backends = {}, defaultBackend = 'none', bundlers, defaultBundler, frontends, defaultFrontend,
+    frameworks, defaultFramework, packageManagers, defaultPackageManager, ml, typescript, ...profile
+  } = JSON.parse(JSON.stringify(PROFILES[projectType]));
+  const backendId = backends[config.backend] ? config.backend : defaultBackend;
+  const { name, icon, typescript: backendTypescript, ...backend } = backends[backendId] || {};
+  let resolved = {
+    ...profile,
+    ...backend,
+    ...(config.includeMl && ml ? ml : {}),
+    projectType,
+    backend: backends[backendId] ? { id: backendId, name, icon } : null,
+    frontend: null,
+    bundler: null,
+    framework: null,
+    packageManager: null
+  };
+  if (config.typescript) {
+    [typescript, backendTypescript].filter(Boolean).forEach(overlay => {
+      resolved = mergeOverlay(resolved, overlay);
+    });
+  }
+  if (frameworks) {
+    resolveFramework(resolved, config, { frameworks, defaultFramework, packageManagers, defaultPackageManager });
+  }
+  if (frontends) {
+    resolveFrontend(resolved, config, { frontends, defaultFrontend });
+  }
+
+  const bundled = resolved.services.filter(service => service.bundled);
+  if (bundled.length === 0) {
+    return resolved;
+  }
+
+  const choices = getChoices({ bundlers }, 'bundlers');
+  const id = choices[config.bundler] ? config.bundler : defaultBundler;
+  const { typescript: bundlerTypescript, ...bundlerProfile } = choices[id];
+  const bundler = config.typescript && bundlerTypescript ? mergeOverlay(bundlerProfile, bundlerTypescript) : bundlerProfile;
+  resolved.bundler = { id, ...bundler };
+  bundled.forEach(service => {
+    service.ports[0].port = bundler.port;
+    if (service.apiUrl) {
+      service.apiUrl = `${bundler.envPrefix}${service.apiUrl}`;
+    }
+  });
+  if (bundled.some(service => service.context === '.')) {
+    resolved.packageJson = mergeOverlay(bundler.packageJson, resolved.packageJson || {});
+    resolved.dockerfile = resolved.dockerfile || bundler.dockerfile;
+  }
+
+  return resolved;
+}
+
+function resolveFrontend(resolved, config, { frontends, defaultFrontend }) {
+  const id = frontends[config.frontend] ? config.frontend : defaultFrontend;
+  const { typescript: frontendTypescript, ...entry } = frontends[id];
+  const frontend = config.typescript && frontendTypescript ? mergeOverlay(entry, frontendTypescript) : entry;
+
+  resolved.frontend = { id, ...frontend };
+  if (!frontend.port) {
+    return;
+  }
+  resolved.services.filter(service => service.bundled).forEach(service => {
+    delete service.bundled;
+    service.ports[0].port = frontend.port;
+    service.target = frontend.target;
+    service.health = frontend.health;
+    if (service.apiUrl) {
+      service.apiUrl = `${frontend.envPrefix}${service.apiUrl}`;
+    }
+  });
+}
+
+function resolveFramework(resolved, config, { frameworks, defaultFramework, packageManagers, defaultPackageManager }) {
+  const frameworkId = frameworks[config.framework] ? config.framework : defaultFramework;
+  const { requirements = {}, ...framework } = frameworks[frameworkId];
+  const packageManagerId = packageManagers[config.packageManager] ? config.packageManager : defaultPackageManager;
+
+  resolved.framework = { id: frameworkId, ...framework };
+  resolved.packageManager = { id: packageManagerId, ...packageManagers[packageManagerId] };
+  // The framework's packages lead the app's, its test helpers follow pytest
+  const base = resolved.requirements || {};
+  resolved.requirements = {
+    main: [...(requirements.main || []), ...(base.main || [])],
+    dev: [...(base.dev || []), ...(requirements.dev || [])]
+  };
+  resolved.services.forEach(service => {
+    if (framework.port && service.ports.some(entry => entry.framework)) {
+      service.ports = [{ port: framework.port, label: framework.label }, ...service.ports.filter(entry => !entry.framework)];
+    }
+    service.ports.forEach(entry => delete entry.framework);
+  });
+}
+
+module.exports = {
+  PROFILES,
+  listProjectTypes,
+  listBackends,
+  listBundlers,
+  listFrontends,
+  listFrameworks,
+  listPackageManagers,
+  supportsTypeScript,
+  isKnownProjectType,
+  getProfile
+};
@@ -0,0 +1,298 @@
+// Python project scaffolding: the app skeleton and tests for each framework
+// in profiles.json, and the dependency file for each package manager
+// (requirements.txt for pip, pyproject.toml for Poetry and uv). Every
+// app answers GET /health with {"status": "ok"}; the plain script serves it
+// from the standard library's http.server.
+
+// Installed on top of the app's requirements with --ml
+const ML_REQUIREMENTS = [
+  'numpy>=1.24.0',
+  'pandas>=2.0.0',
+  'scikit-learn>=1.3.0',
+  'matplotlib>=3.7.0',
+  'seaborn>=0.12.0',
+  'jupyter>=1.0.0',
+  'ipykernel>=6.25.0'
+];
+
+const OPTIONAL_ML_REQUIREMENTS = [
+  'tensorflow>=2.13.0',
+  'torch>=2.0.0',
+  'transformers>=4.30.0',
+  'opencv-python>=4.8.0',
+  'plotly>=5.15.0',
+  'xgboost>=1.7.0',
+  'lightgbm>=4.0.0'
+];
+
+// Files of the framework's app and its tests: { path: content }. The plain
+// script (framework none) keeps its main.py, which the caller writes.
+const FRAMEWORK_FILES = {
+  none: name => ({
+    'tests/test_main.py': `import json
+import threading
+from http.server import HTTPServer
+from urllib.request import urlopen
+
+from main import HealthHandler, main
+
+
+def test_main_runs(capsys):
+    main()
+    assert "Welcome to ${name}" in capsys.readouterr().out
+
+
+def test_health():
+    server = HTTPServer(("127.0.0.1", 0), HealthHandler)
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    try:
+        with urlopen(f"http://127.0.0.1:{server.server_port}/health") as response:
+            assert response.status == 200
+            assert json.load(response) == {"status": "ok"}
+    finally:
+        server.shutdown()
+`
+  }),
+
+  fastapi: name => ({
+    'app/__init__.py': '',
+    'app/main.py': `"""
+${name} - FastAPI application
+"""
+from fastapi import FastAPI
+
+app = FastAPI(title="${name}")
+
+
+@app.get("/")
+def index():
+    return {"message": "Welcome to ${name}"}
+
+
+@app.get("/health")
+def health():
+    return {"status": "ok"}
+`,
+    'tests/__init__.py': '',
+    'tests/test_app.py': `from fastapi.testclient import TestClient
+
+from app.main import app
+
+client = TestClient(app)
+
+
+def test_health():
+    response = client.get("/health")
+    assert response.status_code == 200
+    assert response.json() == {"status": "ok"}
+`
+  }),
+
+  flask: name => ({
+    'app/__init__.py': `"""
+${name} - Flask application
+"""
+from flask import Flask, jsonify
+
+
+def create_app():
+    app = Flask(__name__)
+
+    @app.get("/")
+    def index():
+        return jsonify(message="Welcome to ${name}")
+
+    @app.get("/health")
+    def health():
+        return jsonify(status="ok")
+
+    return app
+`,
+    'tests/__init__.py': '',
+    'tests/test_app.py': `from app import create_app
+
+
+def test_health():
+    client = create_app().test_client()
+    response = client.get("/health")
+    assert response.status_code == 200
+    assert response.get_json() == {"status": "ok"}
+`
+  }),
+
+  django: name => ({
+    'manage.py': `#!/usr/bin/env python3
+"""Django's command-line utility for administrative tasks."""
+import os
+import sys
+
+
+def main():
+    os.environ.setdefault("DJANGO_SETTINGS_MODULE", "config.settings")
+    from django.core.management import execute_from_command_line
+
+    execute_from_command_line(sys.argv)
+
+
+if __name__ == "__main__":
+    main()
+`,
+    'config/__init__.py': '',
+    'config/settings.py': `"""
+Django settings for ${name}.
+"""
+import os
+from pathlib import Path
+
+BASE_DIR = Path(__file__).resolve().parent.parent
+
+SECRET_KEY = os.environ.get("SECRET_KEY", "insecure-development-key")
+DEBUG = os.environ.get("DEBUG", "False") == "True"
+ALLOWED_HOSTS = os.environ.get("ALLOWED_HOSTS", "*").split(",")
+
+INSTALLED_APPS = [
+    "django.contrib.contenttypes",
+    "django.contrib.auth",
+]
+
+MIDDLEWARE = [
+    "django.middleware.security.SecurityMiddleware",
+    "django.middleware.common.CommonMiddleware",
+]
+
+ROOT_URLCONF = "config.urls"
+WSGI_APPLICATION = "config.wsgi.application"
+
+DATABASES = {
+    "default": {
+        "ENGINE": "django.db.backends.sqlite3",
+        "NAME": BASE_DIR / "db.sqlite3",
+    }
+}
+
+USE_TZ = True
+`,
+    'config/urls.py': `from django.http import JsonResponse
+from django.urls import path
+
+
+def index(request):
+    return JsonResponse({"message": "Welcome to ${name}"})
+
+
+def health(request):
+    return JsonResponse({"status": "ok"})
+
+
+urlpatterns = [
+    path("", index),
+    path("health", health),
+]
+`,
+    'config/wsgi.py': `import os
+
+from django.core.wsgi import get_wsgi_application
+
+os.environ.setdefault("DJANGO_SETTINGS_MODULE", "config.settings")
+
+application = get_wsgi_application()
+`,
+    'tests/__init__.py': '',
+    'tests/test_app.py': `def test_health(client):
+    response = client.get("/health")
+    assert response.status_code == 200
+    assert response.json() == {"status": "ok"}
+`
+  })
+};
+
+function getFrameworkFiles(frameworkId, name) {
+  return FRAMEWORK_FILES[frameworkId](name);
+}
+
+// Tests run from the project root so `app`, `config` and `main` import
+function generatePytestIni(frameworkId) {
+  return `[pytest]
+testpaths = tests
+pythonpath = .
+${frameworkId === 'django' ? 'DJANGO_SETTINGS_MODULE = config.settings\n' : ''}`;
+}
+
+function generateRequirementsTxt({ requirements, includeMl }) {
+  let content = `# Core packages
+${requirements.main.join('\n')}
+
+# Development packages
+${requirements.dev.join('\n')}
+`;
+
+  if (includeMl) {
+    content += `
+# Machine Learning & Data Science
+${ML_REQUIREMENTS.join('\n')}
+
+# Optional ML libraries (uncomment as needed)
+${OPTIONAL_ML_REQUIREMENTS.map(requirement => `# ${requirement}`).join('\n')}
+`;
+  }
+
+  return content + `
+# Add your project-specific packages below:
+`;
+}
+
+// "uvicorn[standard]>=0.27.0" -> { name: 'uvicorn', extras: ['standard'], version: '>=0.27.0' }
+function parseRequirement(requirement) {
+  const [, name, extras, version] = requirement.match(/^([A-Za-z0-9_.-]+)(?:\[([^\]]+)\])?(.*)$/);
+  return { name, extras: extras ? extras.split(',') : [], version: version || '*' };
+}
+
+function tomlArray(items) {
+  return `[\n${items.map(item => `    ${JSON.stringify(item)},`).join('\n')}\n]`;
+}
+
+// PEP 621 pyproject.toml; Poetry (2.x) reads the same [project] table and
+// keeps dev dependencies in a group, uv uses a PEP 735 dependency group
+function generatePyproject({ projectName, requirements, includeMl, packageManager }) {
+  const name = projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const dependencies = [...requirements.main, ...(includeMl ? ML_REQUIREMENTS : [])];
+  const project = `[project]
+name = "${name}"
+version = "0.1.0"
+description = "${projectName} - Python Application"
+requires-python = ">=3.11"
+dependencies = ${tomlArray(dependencies)}
+`;
+
+  if (packageManager === 'poetry') {
+    const devDependencies = requirements.dev.map(parseRequirement).map(({ name: dependency, extras, version }) => (
+      extras.length > 0
+        ? `${dependency} = { version = "${version}", extras = ${JSON.stringify(extras)} }`
+        : `${dependency} = "${version}"`
+    ));
+    return `${project}
+[tool.poetry]
+package-mode = false
+
+[tool.poetry.group.dev.dependencies]
+${devDependencies.join('\n')}
+
+[build-system]
+requires = ["poetry-core>=2.0.0"]
+build-backend = "poetry.core.masonry.api"
+`;
+  }
+
+  return `${project}
+[dependency-groups]
+dev = ${tomlArray(requirements.dev)}
+`;
+}
+
+module.exports = {
+  ML_REQUIREMENTS,
+  getFrameworkFiles,
+  generatePytestIni,
+  generateRequirementsTxt,
+  generatePyproject
+};
@@ -0,0 +1,132 @@
+// Minimal JSON Schema validator covering the subset used by the bundled
+// schemas: type, enum, const, properties, patternProperties, required,
+// additionalProperties, items, min/max constraints, pattern, anyOf/oneOf and
+// local $ref.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported (got ${ref})`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolvable $ref ${ref}`);
+    }
+    return node[key];
+  }, root);
+}
+
+function validate(value, schema, root, pointer, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push(`${pointer || '/'}: is not allowed`);
+    return;
+  }
+
+  if (schema.$ref) {
+    validate(value, resolveRef(schema.$ref, root), root, pointer, errors);
+    return;
+  }
+
+  const where = pointer || '/';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${where}: must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${where}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${where}: must not contain duplicate items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validate(item, schema.items, root, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${where}: missing required property "${key}"`);
+      }
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern), subschema]);
+    Object.keys(value).forEach(key => {
+      const matched = patterns.filter(([pattern]) => pattern.test(key));
+      if (key in properties) {
+        validate(value[key], properties[key], root, `${pointer}/${key}`, errors);
+      } else if (matched.length > 0) {
+        matched.forEach(([, subschema]) => validate(value[key], subschema, root, `${pointer}/${key}`, errors));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(value[key], schema.additionalProperties, root, `${pointer}/${key}`, errors);
+      }
+    });
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, root).length === 0)) {
+    errors.push(`${where}: does not match any allowed schema`);
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(option => validateSchema(value, option, root).length === 0).length !== 1) {
+    errors.push(`${where}: must match exactly one allowed schema`);
+  }
+}
+
+// Returns a list of "<json pointer>: <message>" strings (empty when valid)
+function validateSchema(value, schema, root = schema) {
+  const errors = [];
+  validate(value, schema, root, '', errors);
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,407 @@
+// Service graph behind docker-compose.yml. Each project type contributes its
+// app services, backing services (databases, caches) are attached to them,
+// and the same graph answers getProjectPorts, so the devcontainer's
+// forwarded ports and the compose file's published ports always match.
+
+const { getProfile } = require('./profiles');
+
+function forward(port, label, onAutoForward = 'notify') {
+  return { port, label, onAutoForward };
+}
+
+const user = (key, value) => ({ key, type: 'string', value });
+const secret = key => ({ key, type: 'secret' });
+
+// Backing services an app can depend on, selectable with `init --with`.
+// `connection` lists the variables wired into every api service, given the
+// hostname and port to reach the service on and its credentials; `fallback`
+// is used when another service already claimed the variable (e.g. Postgres
+// and MySQL side by side), and `type` (default 'url') is the kind of value,
+// as in the env files. `credentials` live only in .env.<environment>, which
+// the service reads in every compose file: users default to `value`, and
+// development passwords are random.
+const BACKING_SERVICES = {
+  postgres: {
+    name: 'db',
+    title: 'PostgreSQL',
+    image: 'postgres:15-alpine',
+    ports: [forward(5432, 'PostgreSQL', 'ignore')],
+    environment: { POSTGRES_DB: 'myapp' },
+    credentials: [user('POSTGRES_USER', 'user'), secret('POSTGRES_PASSWORD')],
+    volumes: { postgres_data: '/var/lib/postgresql/data' },
+    // $$ escapes compose interpolation, so the container's shell reads its own env
+    healthcheck: ['CMD-SHELL', 'pg_isready -U $${POSTGRES_USER} -d $${POSTGRES_DB}'],
+    connection: [
+      {
+        key: 'DATABASE_URL',
+        fallback: 'POSTGRES_URL',
+        value: (host, port, env) => `postgresql://${env.POSTGRES_USER}:${env.POSTGRES_PASSWORD}@${host}:${port}/myapp`
+      }
+    ]
+  },
+  mysql: {
+    name: 'mysql',
+    title: 'MySQL',
+    image: 'mysql:8.0',
+    ports: [forward(3306, 'MySQL', 'ignore')],
+    environment: { MYSQL_DATABASE: 'myapp' },
+    credentials: [user('MYSQL_USER', 'user'), secret('MYSQL_PASSWORD'), secret('MYSQL_ROOT_PASSWORD')],
+    volumes: { mysql_data: '/var/lib/mysql' },
+    healthcheck: ['CMD', 'mysqladmin', 'ping', '-h', 'localhost'],
+    connection: [
+      {
+        key: 'DATABASE_URL',
+        fallback: 'MYSQL_URL',
+        value: (host, port, env) => `mysql://${env.MYSQL_USER}:${env.MYSQL_PASSWORD}@${host}:${port}/myapp`
+      }
+    ]
+  },
+  redis: {
+    name: 'redis',
+    title: 'Redis',
+    image: 'redis:7-alpine',
+    ports: [forward(6379, 'Redis', 'ignore')],
+    environment: {},
+    volumes: {},
+    healthcheck: ['CMD', 'redis-cli', 'ping'],
+    connection: [{ key: 'REDIS_URL', value: (host, port) => `redis://${host}:${port}` }]
+  },
+  mongodb: {
+    name: 'mongodb',
+    title: 'MongoDB',
+    image: 'mongo:7',
+    ports: [forward(27017, 'MongoDB', 'ignore')],
+    environment: {},
+    credentials: [user('MONGO_INITDB_ROOT_USERNAME', 'user'), secret('MONGO_INITDB_ROOT_PASSWORD')],
+    volumes: { mongo_data: '/data/db' },
+    healthcheck: ['CMD', 'mongosh', '--quiet', '--eval', 'db.adminCommand("ping")'],
+    connection: [
+      {
+        key: 'MONGODB_URL',
+        value: (host, port, env) => `mongodb://${env.MONGO_INITDB_ROOT_USERNAME}:${env.MONGO_INITDB_ROOT_PASSWORD}@${host}:${port}/myapp?authSource=admin`
+      }
+    ]
+  },
+  rabbitmq: {
+    name: 'rabbitmq',
+    title: 'RabbitMQ',
+    image: 'rabbitmq:3-management-alpine',
+    ports: [forward(5672, 'RabbitMQ', 'ignore'), forward(15672, 'RabbitMQ Management')],
+    environment: {},
+    credentials: [user('RABBITMQ_DEFAULT_USER', 'user'), secret('RABBITMQ_DEFAULT_PASS')],
+    volumes: { rabbitmq_data: '/var/lib/rabbitmq' },
+    healthcheck: ['CMD', 'rabbitmq-diagnostics', '-q', 'ping'],
+    connection: [
+      { key: 'AMQP_URL', value: (host, port, env) => `amqp://${env.RABBITMQ_DEFAULT_USER}:${env.RABBITMQ_DEFAULT_PASS}@${host}:${port}` }
+    ]
+  },
+  minio: {
+    name: 'minio',
+    title: 'MinIO',
+    image: 'minio/minio:latest',
+    command: ['server', '/data', '--console-address', ':9001'],
+    ports: [forward(9000, 'MinIO API', 'ignore'), forward(9001, 'MinIO Console')],
+    environment: {},
+    credentials: [user('MINIO_ROOT_USER', 'minio'), secret('MINIO_ROOT_PASSWORD')],
+    volumes: { minio_data: '/data' },
+    healthcheck: ['CMD', 'mc', 'ready', 'local'],
+    connection: [
+      { key: 'S3_ENDPOINT', value: (host, port) => `http://${host}:${port}` },
+      { key: 'S3_ACCESS_KEY_ID', type: 'string', value: (host, port, env) => env.MINIO_ROOT_USER },
+      { key: 'S3_SECRET_ACCESS_KEY', type: 'secret', value: (host, port, env) => env.MINIO_ROOT_PASSWORD }
+    ]
+  },
+  mailhog: {
+    name: 'mailhog',
+    title: 'MailHog',
+    image: 'mailhog/mailhog:latest',
+    ports: [forward(1025, 'MailHog SMTP', 'ignore'), forward(8025, 'MailHog UI')],
+    environment: {},
+    volumes: {},
+    connection: [{ key: 'SMTP_URL', value: (host, port) => `smtp://${host}:${port}` }]
+  }
+};
+
+const ADDONS = Object.keys(BACKING_SERVICES);
+
+const HEALTHCHECK_TIMING = { interval: '10s', timeout: '5s', retries: 5 };
+
+// Command checking an app's `health` path from inside its container: busybox
+// wget in the Alpine Node images, curl in the Python ones. 127.0.0.1, as
+// localhost may resolve to ::1 where the server only listens on IPv4.
+function getHealthProbe({ language = 'javascript', health }, port) {
+  const url = `http://127.0.0.1:${port}${health}`;
+  return language === 'python' ? `curl -fsS ${url} > /dev/null || exit 1` : `wget -qO /dev/null ${url} || exit 1`;
+}
+
+// HEALTHCHECK instruction of an app service's image, with the timing of the
+// compose healthchecks; empty when the service has no `health` path
+function generateDockerHealthcheck(service, port) {
+  if (!service || !service.health) {
+    return '';
+  }
+  const flags = Object.entries(HEALTHCHECK_TIMING).map(([key, value]) => `--${key}=${value}`).join(' ');
+  return `# Probe the app's health endpoint
+HEALTHCHECK ${flags} \\
+    CMD ${getHealthProbe(service, port)}
+
+`;
+}
+
+// Limits for the staging/production compose files
+const RESOURCE_LIMITS = {
+  app: { cpus: '1.0', memory: '512M' },
+  backing: { cpus: '0.5', memory: '512M' }
+};
+
+// role 'web' only serves the browser; 'api' services receive the
+// connection settings of every backing service. `target` is the Dockerfile
+// stage deployed outside development, when the generated Dockerfile has one;
+// `developmentEnvironment` is left to .env.<environment> everywhere else.
+// `developmentTarget` and `developmentCommand` build and run a dev server
+// from the bind-mounted source instead of the image's own command.
+// `health` is the path of the health endpoint the image and compose probe.
+function appService(name, context, ports, overrides = {}) {
+  const root = context === '.' ? '.' : `./${context}`;
+  return {
+    name,
+    role: 'api',
+    build: context === '.' ? '.' : { context: root, dockerfile: 'Dockerfile' },
+    target: null,
+    developmentTarget: null,
+    developmentCommand: null,
+    ports,
+    environment: { NODE_ENV: 'development' },
+    developmentEnvironment: {},
+    volumes: [`${root}:/app`, '/app/node_modules'],
+    depends_on: [],
+    ...overrides
+  };
+}
+
+// Host port a container port is published on; `config.hostPorts` holds the
+// ones moved off a port that was taken (see lib/host-ports.js)
+function getHostPort(config, port) {
+  return Number((config.hostPorts || {})[port]) || port;
+}
+
+// App and backing services from the project's profile (lib/profiles.json).
+// A service's `apiUrl` names the variable that points the browser at the
+// first service it depends on, on that service's host port.
+function getProjectLayout(config, templatePorts) {
+  if (templatePorts) {
+    return { services: [appService('app', '.', templatePorts)], backing: [] };
+  }
+
+  const profile = getProfile(config);
+  const services = profile.services.map(({ name, context, ports, dependsOn = [], apiUrl, bundled, language, health, ...overrides }) => {
+    const service = appService(name, context, ports.map(entry => forward(entry.port, entry.label, entry.onAutoForward)), {
+      ...overrides,
+      depends_on: dependsOn
+    });
+    // Services that depend on it wait until it answers
+    if (health) {
+      service.health = health;
+      service.healthcheck = ['CMD-SHELL', getHealthProbe({ language, health }, ports[0].port)];
+    }
+    if (apiUrl) {
+      const api = profile.services.find(candidate => candidate.name === dependsOn[0]);
+      service.developmentEnvironment = { [apiUrl]: `http://localhost:${getHostPort(config, api.ports[0].port)}` };
+    }
+    return service;
+  });
+
+  return {
+    services,
+    backing: (profile.backing || []).map(({ id, ...overrides }) => [id, overrides])
+  };
+}
+
+function addBackingService(graph, id, overrides = {}) {
+  const definition = BACKING_SERVICES[id];
+  if (!definition) {
+    throw new Error(`Unknown service "${id}" (expected ${ADDONS.join(', ')})`);
+  }
+  if (graph.services.some(service => service.id === id)) {
+    return;
+  }
+
+  const name = overrides.name || definition.name;
+  const ports = definition.ports.map((entry, index) => (
+    index === 0 && overrides.label ? { ...entry, label: overrides.label } : { ...entry }
+  ));
+  const claimed = new Set(getBackingServices(graph).flatMap(service => service.connection.map(entry => entry.key)));
+  const connection = definition.connection.map(({ key, fallback, type = 'url', value }) => ({
+    key: claimed.has(key) && fallback ? fallback : key,
+    type,
+    value
+  }));
+
+  // Inside compose the credentials are interpolated from the env file
+  const credentials = definition.credentials || [];
+  const interpolated = Object.fromEntries(credentials.map(({ key }) => [key, `\${${key}}`]));
+  graph.services
+    .filter(service => service.role === 'api')
+    .forEach(service => {
+      connection.forEach(({ key, value }) => {
+        service.developmentEnvironment[key] = value(name, ports[0].port, interpolated);
+      });
+      service.depends_on.push(name);
+    });
+
+  Object.keys(definition.volumes).forEach(volume => graph.volumes.push(volume));
+  graph.services.push({
+    name,
+    id,
+    title: definition.title,
+    role: 'backing',
+    image: definition.image,
+    command: definition.command,
+    ports,
+    environment: { ...definition.environment },
+    credentials,
+    volumes: Object.entries(definition.volumes).map(([volume, target]) => `${volume}:${target}`),
+    depends_on: [],
+    healthcheck: definition.healthcheck,
+    connection
+  });
+}
+
+// `config.addons` lists extra backing services on top of the project's own
+function buildServiceGraph(config, { templatePorts = null } = {}) {
+  const layout = getProjectLayout(config, templatePorts);
+  const graph = { services: layout.services, volumes: [] };
+
+  layout.backing.forEach(([id, overrides]) => addBackingService(graph, id, overrides));
+  (config.addons || []).forEach(id => addBackingService(graph, id));
+  getGraphPorts(graph).forEach(entry => {
+    entry.hostPort = getHostPort(config, entry.port);
+  });
+
+  return graph;
+}
+
+// The service the devcontainer attaches to
+function getPrimaryService(graph) {
+  return graph.services[0].name;
+}
+
+function getBackingServices(graph) {
+  return graph.services.filter(service => service.role === 'backing');
+}
+
+// Connection variables for code running outside compose, e.g. the
+// .env.<environment> files: `host(service)` picks the hostname to use,
+// `published` reaches the service on its host port rather than its own, and
+// `credentials` holds the values of the services' credential keys
+function getConnectionEnvironment(graph, host, published = false, credentials = {}) {
+  return getBackingServices(graph).map(service => {
+    const port = published ? service.ports[0].hostPort : service.ports[0].port;
+    return {
+      service,
+      variables: service.connection.map(({ key, type, value }) => ({ key, type, value: value(host(service), port, credentials) }))
+    };
+  });
+}
+
+// Splits `--with postgres,redis` into add-on ids
+function parseAddons(value) {
+  const addons = [...new Set(String(value).split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean))];
+  const unknown = addons.filter(addon => !ADDONS.includes(addon));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown service${unknown.length > 1 ? 's' : ''} ${unknown.map(addon => `"${addon}"`).join(', ')} (expected ${ADDONS.join(', ')})`);
+  }
+  return addons;
+}
+
+function getGraphPorts(graph) {
+  return graph.services.flatMap(service => service.ports);
+}
+
+// Compose definition for one environment. Development runs from source
+// with bind mounts; staging and production build the deployable target,
+// read connection settings from .env.<environment>, keep backing services
+// off the host network and restart with resource limits. Backing services
+// read their credentials from .env.<environment> in every file. These are
+// complete files rather than overrides: an override cannot remove the base
+// file's bind mounts.
+function toCompose(graph, environment = 'development') {
+  const deployed = environment !== 'development';
+  const services = {};
+  const healthy = new Set(graph.services.filter(service => service.healthcheck).map(service => service.name));
+
+  graph.services.forEach(service => {
+    const isApp = service.role !== 'backing';
+    const entry = {};
+
+    if (!service.build) {
+      entry.image = service.image;
+    } else if (deployed ? service.target : service.developmentTarget) {
+      const build = typeof service.build === 'string' ? { context: service.build } : service.build;
+      entry.build = { ...build, target: deployed ? service.target : service.developmentTarget };
+    } else {
+      entry.build = service.build;
+    }
+    const command = deployed ? service.command : service.developmentCommand || service.command;
+    if (command) {
+      entry.command = command;
+    }
+
+    if (service.ports.length > 0 && (isApp || !deployed)) {
+      entry.ports = service.ports.map(({ port, hostPort }) => `${deployed ? port : hostPort || port}:${port}`);
+    }
+    if ((deployed && isApp) || (service.credentials || []).length > 0) {
+      entry.env_file = [`.env.${environment}`];
+    }
+    const environmentValues = deployed
+      ? { ...service.environment }
+      : { ...service.environment, ...service.developmentEnvironment };
+    if (deployed && 'NODE_ENV' in environmentValues) {
+      environmentValues.NODE_ENV = environment;
+    }
+    const variables = Object.entries(environmentValues);
+    if (variables.length > 0) {
+      entry.environment = variables.map(([key, value]) => `${key}=${value}`);
+    }
+    const volumes = deployed && isApp ? [] : service.volumes;
+    if (volumes.length > 0) {
+      entry.volumes = volumes;
+    }
+    if (service.depends_on.length > 0) {
+      entry.depends_on = Object.fromEntries(service.depends_on.map(name => [
+        name,
+        { condition: healthy.has(name) ? 'service_healthy' : 'service_started' }
+      ]));
+    }
+    if (service.healthcheck) {
+      entry.healthcheck = { test: service.healthcheck, ...HEALTHCHECK_TIMING };
+    }
+    if (deployed) {
+      entry.restart = 'unless-stopped';
+      entry.deploy = { resources: { limits: { ...RESOURCE_LIMITS[isApp ? 'app' : 'backing'] } } };
+    }
+
+    services[service.name] = entry;
+  });
+
+  const compose = { version: '3.8', services };
+  if (graph.volumes.length > 0) {
+    compose.volumes = Object.fromEntries(graph.volumes.map(volume => [volume, {}]));
+  }
+  return compose;
+}
+
+module.exports = {
+  BACKING_SERVICES,
+  ADDONS,
+  getHostPort,
+  buildServiceGraph,
+  addBackingService,
+  parseAddons,
+  getPrimaryService,
+  getBackingServices,
+  getConnectionEnvironment,
+  getGraphPorts,
+  generateDockerHealthcheck,
+  toCompose
+};
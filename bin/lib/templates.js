@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+// Built-in templates ship with the package (see "files" in package.json)
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates');
+const MANIFEST_FILE = 'template.json';
+
+// Templates registered at runtime (e.g. `init --templates <path>`)
+const registeredTemplates = new Map();
+
+function getUserTemplatesDir() {
+  return path.join(os.homedir(), '.universal-dev-env', 'templates');
+}
+
+function isOutsideProject(file) {
+  const normalized = path.posix.normalize(file.replace(/\\/g, '/'));
+  return path.posix.isAbsolute(normalized) || path.win32.isAbsolute(file) || normalized === '..' || normalized.startsWith('../');
+}
+
+function readManifest(templateDir) {
+  const manifestPath = path.join(templateDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!manifest.name || !manifest.version) {
+    throw new Error(`Invalid template manifest ${manifestPath}: "name" and "version" are required`);
+  }
+  // Templates come from git URLs too: their files may not leave the project
+  const escaping = Object.keys(isPlainObject(manifest.files) ? manifest.files : {}).filter(isOutsideProject);
+  if (escaping.length > 0) {
+    throw new Error(`Invalid template manifest ${manifestPath}: files must stay inside the project (${escaping.join(', ')})`);
+  }
+
+  return {
+    description: '',
+    projectType: manifest.name,
+    defaults: {},
+    ...manifest,
+    dir: templateDir
+  };
+}
+
+// A template source is either a single template (template.json at its root)
+// or a collection with one template per subdirectory
+function loadTemplatesFrom(sourceDir, origin) {
+  if (!sourceDir || !fs.existsSync(sourceDir)) {
+    return [];
+  }
+
+  const single = readManifest(sourceDir);
+  if (single) {
+    return [{ ...single, origin }];
+  }
+
+  return fs.readdirSync(sourceDir)
+    .filter(entry => !entry.startsWith('.'))
+    .map(entry => path.join(sourceDir, entry))
+    .filter(dir => fs.statSync(dir).isDirectory())
+    .map(readManifest)
+    .filter(Boolean)
+    .map(template => ({ ...template, origin }));
+}
+
+function registerTemplate(template) {
+  registeredTemplates.set(template.name, template);
+  return template;
+}
+
+function registerTemplatesFrom(sourceDir) {
+  const templates = loadTemplatesFrom(path.resolve(sourceDir), 'path');
+  if (templates.length === 0) {
+    throw new Error(`No ${MANIFEST_FILE} found in ${sourceDir}`);
+  }
+  return templates.map(registerTemplate);
+}
+
+// Later sources shadow earlier ones: built-in < ~/.universal-dev-env/templates < registered
+function listTemplates() {
+  const byName = new Map();
+  const sources = [
+    ...loadTemplatesFrom(BUILTIN_TEMPLATES_DIR, 'builtin'),
+    ...loadTemplatesFrom(getUserTemplatesDir(), 'user'),
+    ...registeredTemplates.values()
+  ];
+
+  sources.forEach(template => byName.set(template.name, template));
+
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadTemplate(name) {
+  return listTemplates().find(template => template.name === name) || null;
+}
+
+function isGitUrl(source) {
+  return /^(https?:\/\/|git@|ssh:\/\/|git:\/\/|file:\/\/)/.test(source) || source.endsWith('.git');
+}
+
+// Install templates from a local directory or git URL into the user template
+// directory so they are picked up by every later run
+function installTemplates(source) {
+  const userDir = getUserTemplatesDir();
+  fs.mkdirSync(userDir, { recursive: true });
+
+  let sourceDir = source;
+  let cloneDir = null;
+  if (isGitUrl(source) && !fs.existsSync(source)) {
+    cloneDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uds-template-'));
+    execFileSync('git', ['clone', '--depth', '1', source, cloneDir], { stdio: 'ignore' });
+    sourceDir = cloneDir;
+  }
+
+  try {
+    const templates = loadTemplatesFrom(path.resolve(sourceDir), 'user');
+    if (templates.length === 0) {
+      throw new Error(`No ${MANIFEST_FILE} found in ${source}`);
+    }
+
+    return templates.map(template => {
+      const destDir = path.join(userDir, template.name);
+      fs.rmSync(destDir, { recursive: true, force: true });
+      fs.cpSync(template.dir, destDir, {
+        recursive: true,
+        filter: src => path.basename(src) !== '.git'
+      });
+      return readManifest(destDir);
+    });
+  } finally {
+    if (cloneDir) {
+      fs.rmSync(cloneDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Deep merge used for package.json fragments and devcontainer overlays.
+// Objects merge recursively, arrays are concatenated without duplicates.
+function mergeOverlay(base, overlay) {
+  if (Array.isArray(base) && Array.isArray(overlay)) {
+    return [...base, ...overlay.filter(item => !base.some(existing => JSON.stringify(existing) === JSON.stringify(item)))];
+  }
+  if (isPlainObject(base) && isPlainObject(overlay)) {
+    const merged = { ...base };
+    Object.keys(overlay).forEach(key => {
+      merged[key] = key in base ? mergeOverlay(base[key], overlay[key]) : overlay[key];
+    });
+    return merged;
+  }
+  return overlay === undefined ? base : overlay;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readTemplateFile(template, relativePath, variables) {
+  const filePath = path.join(template.dir, relativePath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Template "${template.name}" references missing file ${relativePath}`);
+  }
+  return renderString(fs.readFileSync(filePath, 'utf8'), variables);
+}
+
+// Variables available to template files as {{name}}
+function getTemplateVariables(config, ports) {
+  return {
+    projectName: config.projectName,
+    projectSlug: config.projectName.toLowerCase().replace(/\s+/g, '-'),
+    projectType: config.projectType,
+    backend: config.backend || 'none',
+    port: String(ports[0]),
+    ports: ports.join(', ')
+  };
+}
+
+function renderString(content, variables) {
+  // Unknown placeholders are left untouched so files can still contain
+  // other templating syntax (Handlebars, Helm, ...)
+  return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : match
+  ));
+}
+
+// npm strips dotfiles such as .gitignore when publishing, so template files
+// are stored with a leading underscore and renamed on render. Only these
+// names are renamed: `__init__.py` or Next.js's `_app.tsx` keep theirs.
+const DOTFILE_STAND_INS = new Set([
+  '_gitignore',
+  '_dockerignore',
+  '_env',
+  '_env.example',
+  '_editorconfig',
+  '_npmrc',
+  '_nvmrc',
+  '_prettierrc',
+  '_eslintrc.json',
+  '_devcontainer',
+  '_github',
+  '_vscode'
+]);
+
+function toOutputPath(relativePath) {
+  return relativePath
+    .split(path.sep)
+    .map(segment => (DOTFILE_STAND_INS.has(segment) ? `.${segment.slice(1)}` : segment))
+    .join('/');
+}
+
+function walkFiles(dir, base = dir) {
+  return fs.readdirSync(dir).flatMap(entry => {
+    const fullPath = path.join(dir, entry);
+    if (fs.statSync(fullPath).isDirectory()) {
+      return walkFiles(fullPath, base);
+    }
+    return [path.relative(base, fullPath)];
+  });
+}
+
+function renderTemplateFiles(template, variables) {
+  const filesDir = path.join(template.dir, 'files');
+  const rendered = [];
+
+  if (fs.existsSync(filesDir)) {
+    walkFiles(filesDir).forEach(relativePath => {
+      const sourcePath = path.join(filesDir, relativePath);
+      rendered.push({
+        path: toOutputPath(relativePath),
+        content: renderString(fs.readFileSync(sourcePath, 'utf8'), variables),
+        mode: fs.statSync(sourcePath).mode & 0o777
+      });
+    });
+  }
+
+  // Inline files declared in the manifest: { "path/in/project": "content" }
+  if (isPlainObject(template.files)) {
+    Object.entries(template.files).forEach(([filePath, content]) => {
+      rendered.push({
+        path: filePath,
+        content: renderString(Array.isArray(content) ? content.join('\n') + '\n' : content, variables),
+        mode: 0o644
+      });
+    });
+  }
+
+  return rendered;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES_DIR,
+  getUserTemplatesDir,
+  listTemplates,
+  loadTemplate,
+  loadTemplatesFrom,
+  registerTemplate,
+  registerTemplatesFrom,
+  installTemplates,
+  mergeOverlay,
+  readTemplateFile,
+  getTemplateVariables,
+  renderString,
+  renderTemplateFiles
+};
@@ -0,0 +1,90 @@
+// tsconfig.json for each kind of TypeScript source `init --typescript`
+// writes. Bundled apps (Vite, CRA, Next.js) only typecheck and leave the
+// output to their bundler; Node.js servers and Firebase functions compile
+// with tsc into `outDir`, which is what their Dockerfile runtime stage runs.
+
+const TSCONFIGS = {
+  vite: () => ({
+    compilerOptions: {
+      target: 'ES2020',
+      lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+      module: 'ESNext',
+      moduleResolution: 'bundler',
+      jsx: 'react-jsx',
+      strict: true,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      isolatedModules: true,
+      noEmit: true
+    },
+    include: ['src']
+  }),
+
+  // The settings react-scripts expects (it rewrites the ones it needs)
+  cra: () => ({
+    compilerOptions: {
+      target: 'es5',
+      lib: ['dom', 'dom.iterable', 'esnext'],
+      allowJs: true,
+      skipLibCheck: true,
+      esModuleInterop: true,
+      allowSyntheticDefaultImports: true,
+      strict: true,
+      forceConsistentCasingInFileNames: true,
+      noFallthroughCasesInSwitch: true,
+      module: 'esnext',
+      moduleResolution: 'node',
+      resolveJsonModule: true,
+      isolatedModules: true,
+      noEmit: true,
+      jsx: 'react-jsx'
+    },
+    include: ['src']
+  }),
+
+  nextjs: () => ({
+    compilerOptions: {
+      target: 'ES2017',
+      lib: ['dom', 'dom.iterable', 'esnext'],
+      allowJs: true,
+      skipLibCheck: true,
+      strict: true,
+      noEmit: true,
+      esModuleInterop: true,
+      module: 'esnext',
+      moduleResolution: 'bundler',
+      resolveJsonModule: true,
+      isolatedModules: true,
+      jsx: 'preserve',
+      incremental: true
+    },
+    include: ['next-env.d.ts', '**/*.ts', '**/*.tsx'],
+    exclude: ['node_modules']
+  }),
+
+  node: ({ rootDir = '.', outDir = 'dist' } = {}) => ({
+    compilerOptions: {
+      target: 'ES2022',
+      module: 'commonjs',
+      lib: ['ES2022'],
+      rootDir,
+      outDir,
+      strict: true,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      forceConsistentCasingInFileNames: true
+    },
+    include: [rootDir === '.' ? '**/*.ts' : `${rootDir}/**/*.ts`],
+    exclude: ['node_modules', outDir]
+  })
+};
+
+// tsconfig.json contents for `kind` (vite, cra, nextjs or node)
+function generateTsconfig(kind, options) {
+  return JSON.stringify(TSCONFIGS[kind](options), null, 2) + '\n';
+}
+
+module.exports = {
+  TSCONFIGS,
+  generateTsconfig
+};
@@ -0,0 +1,326 @@
+// `uds validate`: offline checks of the generated container and deployment
+// files against the schemas bundled in schemas/, plus the Dockerfile lint
+// rules. Issues are { file, line, level: 'error' | 'warning', message }.
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('./yaml');
+const { validateSchema } = require('./schema');
+const { lintDockerfile } = require('./dockerfile-lint');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+const DEVCONTAINER_FILES = [
+  '.devcontainer/devcontainer.json',
+  '.devcontainer/devcontainer.yml',
+  '.devcontainer/devcontainer.yaml',
+  '.devcontainer.json'
+];
+const COMPOSE_FILE_PATTERN = /^(docker-)?compose(\.[\w-]+)?\.ya?ml$/;
+const DOCKERFILE_PATTERN = /^Dockerfile(\.[\w-]+)?$/;
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '.uds', 'venv', '.venv', '__pycache__']);
+
+const schemas = {};
+function loadSchema(name) {
+  if (!schemas[name]) {
+    schemas[name] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+  }
+  return schemas[name];
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+function walk(rootDir, dir, depth, matches) {
+  const absolute = path.join(rootDir, dir);
+  if (!fs.existsSync(absolute)) {
+    return [];
+  }
+  return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return depth > 0 && !SKIPPED_DIRECTORIES.has(entry.name) ? walk(rootDir, relative, depth - 1, matches) : [];
+    }
+    return matches(entry.name) ? [relative] : [];
+  }).sort();
+}
+
+function schemaIssues(file, value, schema, root) {
+  return validateSchema(value, schema, root).map(message => ({ file, line: null, level: 'error', message }));
+}
+
+// Parsed file, or null after recording why it could not be read
+function readStructured(rootDir, file, issues, { all = false } = {}) {
+  const content = fs.readFileSync(path.join(rootDir, file), 'utf8');
+  try {
+    if (file.endsWith('.json')) {
+      return JSON.parse(content);
+    }
+    return all ? yaml.parseAll(content) : yaml.parse(content);
+  } catch (error) {
+    issues.push({ file, line: error.line || null, level: 'error', message: `does not parse: ${error.message}` });
+    return null;
+  }
+}
+
+function validateDevcontainer(rootDir, file) {
+  const issues = [];
+  const content = fs.readFileSync(path.join(rootDir, file), 'utf8');
+  if (!file.endsWith('.json') && /^\s*\{/.test(content)) {
+    issues.push({ file, line: 1, level: 'error', message: 'contains JSON rather than YAML' });
+    return issues;
+  }
+
+  const config = readStructured(rootDir, file, issues);
+  if (config === null) {
+    return issues;
+  }
+  issues.push(...schemaIssues(file, config, loadSchema('devcontainer')));
+  if (issues.length > 0) {
+    return issues;
+  }
+
+  if (!config.image && !config.build && !config.dockerComposeFile) {
+    issues.push({ file, line: null, level: 'error', message: 'needs one of image, build or dockerComposeFile' });
+  }
+  if (config.dockerComposeFile && !config.service) {
+    issues.push({ file, line: null, level: 'error', message: 'dockerComposeFile requires a service' });
+  }
+
+  // Paths in a devcontainer config are relative to the file itself
+  const base = path.posix.dirname(file);
+  const references = [
+    ...(config.build && config.build.dockerfile ? [config.build.dockerfile] : []),
+    ...[].concat(config.dockerComposeFile || [])
+  ];
+  references.forEach(reference => {
+    const target = path.posix.normalize(path.posix.join(base, reference));
+    if (!fs.existsSync(path.join(rootDir, target))) {
+      issues.push({ file, line: null, level: 'error', message: `references ${reference} (${target}), which does not exist` });
+    }
+  });
+
+  return issues;
+}
+
+// Named volumes are the ones whose source is not a path
+function getNamedVolume(volume) {
+  if (typeof volume !== 'string') {
+    return volume.type === 'volume' ? volume.source : null;
+  }
+  const [source] = volume.split(':');
+  return volume.includes(':') && !/^[./~$]/.test(source) ? source : null;
+}
+
+function validateCompose(rootDir, file) {
+  const issues = [];
+  const compose = readStructured(rootDir, file, issues);
+  if (compose === null) {
+    return issues;
+  }
+  issues.push(...schemaIssues(file, compose, loadSchema('compose')));
+  if (issues.length > 0) {
+    return issues;
+  }
+
+  const services = compose.services || {};
+  Object.entries(services).forEach(([name, service]) => {
+    if (!service.image && !service.build) {
+      issues.push({ file, line: null, level: 'error', message: `service "${name}" needs an image or a build` });
+    }
+
+    const dependencies = Array.isArray(service.depends_on) ? service.depends_on : Object.keys(service.depends_on || {});
+    dependencies
+      .filter(dependency => !(dependency in services))
+      .forEach(dependency => issues.push({ file, line: null, level: 'error', message: `service "${name}" depends on undefined service "${dependency}"` }));
+
+    if (service.build) {
+      const build = typeof service.build === 'string' ? { context: service.build } : service.build;
+      const context = path.posix.join(path.posix.dirname(file), build.context || '.');
+      const dockerfile = path.posix.join(context, build.dockerfile || 'Dockerfile');
+      if (!fs.existsSync(path.join(rootDir, context))) {
+        issues.push({ file, line: null, level: 'error', message: `service "${name}" builds ${context}/, which does not exist` });
+      } else if (!fs.existsSync(path.join(rootDir, dockerfile))) {
+        issues.push({ file, line: null, level: 'error', message: `service "${name}" builds with ${dockerfile}, which does not exist` });
+      }
+    }
+
+    [].concat(service.env_file || [])
+      .filter(envFile => !fs.existsSync(path.join(rootDir, path.posix.dirname(file), envFile)))
+      .forEach(envFile => issues.push({ file, line: null, level: 'warning', message: `service "${name}" reads ${envFile}, which does not exist yet` }));
+
+    (service.volumes || [])
+      .map(getNamedVolume)
+      .filter(volume => volume && !(volume in (compose.volumes || {})))
+      .forEach(volume => issues.push({ file, line: null, level: 'error', message: `service "${name}" uses volume "${volume}", which is not declared under volumes` }));
+  });
+
+  return issues;
+}
+
+function labelsMatch(selector, labels) {
+  return Object.entries(selector || {}).every(([key, value]) => (labels || {})[key] === value);
+}
+
+function validateKustomization(rootDir, file, kustomization) {
+  const base = path.posix.dirname(file);
+  const entries = [
+    ...(kustomization.resources || []),
+    ...(kustomization.patches || []).map(patch => patch.path).filter(Boolean),
+    ...(kustomization.patchesStrategicMerge || [])
+  ];
+  return entries
+    .filter(entry => !/^[a-z]+:\/\//.test(entry))
+    .filter(entry => {
+      const target = path.join(rootDir, base, entry);
+      if (!fs.existsSync(target)) {
+        return true;
+      }
+      return fs.statSync(target).isDirectory() && !fs.existsSync(path.join(target, 'kustomization.yaml'));
+    })
+    .map(entry => ({ file, line: null, level: 'error', message: `lists ${entry}, which does not exist` }));
+}
+
+// Every manifest under k8s/; patch files named by a kustomization are
+// partial documents, so only the kustomization's references are checked
+function validateKubernetes(rootDir) {
+  const issues = [];
+  const files = walk(rootDir, 'k8s', 4, name => /\.ya?ml$/.test(name));
+  const parsed = new Map();
+  files.forEach(file => {
+    const documents = readStructured(rootDir, file, issues, { all: true });
+    if (documents !== null) {
+      parsed.set(file, documents.filter(document => document !== null));
+    }
+  });
+
+  const patches = new Set();
+  parsed.forEach((documents, file) => {
+    if (path.posix.basename(file) !== 'kustomization.yaml') {
+      return;
+    }
+    documents.forEach(kustomization => {
+      issues.push(...validateKustomization(rootDir, file, kustomization));
+      (kustomization.patches || [])
+        .map(patch => patch.path)
+        .concat(kustomization.patchesStrategicMerge || [])
+        .filter(Boolean)
+        .forEach(patch => patches.add(path.posix.join(path.posix.dirname(file), patch)));
+    });
+  });
+
+  const schema = loadSchema('kubernetes');
+  const podLabels = [];
+  const services = [];
+  parsed.forEach((documents, file) => {
+    if (path.posix.basename(file) === 'kustomization.yaml' || patches.has(file)) {
+      return;
+    }
+    documents.forEach(document => {
+      if (!document || typeof document !== 'object' || !document.apiVersion || !document.kind || !(document.metadata && document.metadata.name)) {
+        issues.push({ file, line: null, level: 'error', message: 'every manifest needs apiVersion, kind and metadata.name' });
+        return;
+      }
+      const where = `${document.kind} ${document.metadata.name}`;
+      if (!schema.definitions[document.kind]) {
+        return;
+      }
+
+      const errors = validateSchema(document, schema.definitions[document.kind], schema);
+      errors.forEach(message => issues.push({ file, line: null, level: 'error', message: `${where}: ${message}` }));
+      if (errors.length > 0) {
+        return;
+      }
+
+      if (document.kind === 'Deployment') {
+        const labels = (document.spec.template.metadata || {}).labels;
+        if (!labelsMatch(document.spec.selector.matchLabels, labels)) {
+          issues.push({ file, line: null, level: 'error', message: `${where}: spec.selector.matchLabels does not match the pod template labels` });
+        }
+        podLabels.push(labels);
+      } else if (document.kind === 'Service' && document.spec.selector) {
+        services.push({ file, where, selector: document.spec.selector });
+      }
+    });
+  });
+
+  services
+    .filter(({ selector }) => !podLabels.some(labels => labelsMatch(selector, labels)))
+    .forEach(({ file, where }) => issues.push({ file, line: null, level: 'warning', message: `${where}: selector matches no Deployment in k8s/` }));
+
+  return { files, issues };
+}
+
+function validateHelmChart(rootDir) {
+  const issues = [];
+  const files = walk(rootDir, 'chart', 0, name => name === 'Chart.yaml' || /^values(-[\w-]+)?\.ya?ml$/.test(name));
+  files.forEach(file => {
+    const value = readStructured(rootDir, file, issues);
+    if (value !== null && file === 'chart/Chart.yaml') {
+      ['apiVersion', 'name', 'version']
+        .filter(key => !value || !value[key])
+        .forEach(key => issues.push({ file, line: null, level: 'error', message: `missing ${key}` }));
+    }
+  });
+  return { files, issues };
+}
+
+// `-f <file>` / `-k <dir>` arguments of the commands in the README
+function validateReadme(rootDir) {
+  const file = 'README.md';
+  if (!fs.existsSync(path.join(rootDir, file))) {
+    return { files: [], issues: [] };
+  }
+  const issues = [];
+  fs.readFileSync(path.join(rootDir, file), 'utf8').split('\n').forEach((line, index) => {
+    if (!/^\s*(docker|docker-compose|kubectl|helm)\s/.test(line)) {
+      return;
+    }
+    for (const match of line.matchAll(/\s-(?:f|k)\s+([\w./-]+)/g)) {
+      if (!fs.existsSync(path.join(rootDir, match[1]))) {
+        issues.push({ file, line: index + 1, level: 'warning', message: `references ${match[1]}, which does not exist` });
+      }
+    }
+  });
+  return { files: [file], issues };
+}
+
+// Checks every generated file that exists under rootDir: { files, issues }
+function validateProject(rootDir) {
+  const files = [];
+  const issues = [];
+  const add = (checked, found) => {
+    files.push(...checked);
+    issues.push(...found);
+  };
+
+  DEVCONTAINER_FILES
+    .filter(file => fs.existsSync(path.join(rootDir, file)))
+    .forEach(file => add([file], validateDevcontainer(rootDir, file)));
+
+  fs.readdirSync(rootDir)
+    .filter(file => COMPOSE_FILE_PATTERN.test(file))
+    .sort()
+    .forEach(file => add([file], validateCompose(rootDir, file)));
+
+  walk(rootDir, '', 2, name => DOCKERFILE_PATTERN.test(name)).forEach(file => {
+    const found = lintDockerfile(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+    add([file], found.map(issue => ({ file, ...issue })));
+  });
+
+  const kubernetes = validateKubernetes(rootDir);
+  add(kubernetes.files, kubernetes.issues);
+  const chart = validateHelmChart(rootDir);
+  add(chart.files, chart.issues);
+  const readme = validateReadme(rootDir);
+  add(readme.files, readme.issues);
+
+  return { files: files.map(toPosix), issues };
+}
+
+module.exports = {
+  validateDevcontainer,
+  validateCompose,
+  validateKubernetes,
+  validateProject
+};
@@ -0,0 +1,318 @@
+// Monorepo mode (`init --monorepo`): the app services that build from their
+// own directory (client/ and server/, frontend/ and backend/) become
+// packages of one npm, pnpm or yarn workspace with a single root lockfile
+// and task runner. Python packages (a FastAPI backend) join a uv workspace
+// instead. JavaScript packages build from the repository root, where the
+// lockfile is; Python packages keep building from their own directory.
+const { getProfile } = require('./profiles');
+
+// `run` runs one package's script, `runAll` a script in every package that
+// has it; `docker` lists the root files an image needs to install from the
+// lockfile and the install commands (pnpm and yarn come from corepack)
+const WORKSPACE_MANAGERS = {
+  npm: {
+    install: 'npm install',
+    run: (name, script) => `npm run ${script} -w ${name}`,
+    runAll: script => `npm run ${script} --workspaces --if-present`,
+    docker: {
+      files: ['package.json', 'package-lock.json*'],
+      install: 'npm ci',
+      installProduction: 'npm ci --omit=dev'
+    }
+  },
+  pnpm: {
+    version: 'pnpm@9.15.0',
+    install: 'pnpm install',
+    run: (name, script) => `pnpm --filter ${name} run ${script}`,
+    runAll: script => `pnpm -r --if-present run ${script}`,
+    docker: {
+      files: ['package.json', 'pnpm-lock.yaml*', 'pnpm-workspace.yaml'],
+      install: 'pnpm install --frozen-lockfile',
+      installProduction: 'pnpm install --frozen-lockfile --prod'
+    }
+  },
+  yarn: {
+    version: 'yarn@4.5.3',
+    install: 'yarn install',
+    run: (name, script) => `yarn workspace ${name} run ${script}`,
+    runAll: script => `yarn workspaces foreach --all --topological run ${script}`,
+    docker: {
+      files: ['package.json', 'yarn.lock*', '.yarnrc.yml'],
+      install: 'yarn install --immutable',
+      installProduction: 'yarn workspaces focus --all --production'
+    }
+  }
+};
+
+const MONOREPO_MANAGERS = Object.keys(WORKSPACE_MANAGERS);
+
+// The project's workspace packages: [{ service, dir, name, language, role }].
+// A service marked `"language": "python"` is the backend's framework app.
+function getWorkspacePackages(config) {
+  const slug = config.projectName.toLowerCase().replace(/\s+/g, '-');
+  return getProfile(config).services
+    .filter(service => service.context !== '.')
+    .map(service => ({
+      service: service.name,
+      dir: service.context,
+      name: `${slug}-${service.context}`,
+      language: service.language || 'javascript',
+      role: service.role || 'api'
+    }));
+}
+
+function isPythonPackage(pkg) {
+  return pkg.language === 'python';
+}
+
+// Server commands of the Python packages, from the backend's framework
+function getPythonCommands(config) {
+  const { backendApp } = getProfile(config);
+  const { framework } = getProfile({ projectType: 'python', framework: backendApp.framework });
+  return { dev: framework.run, start: framework.command.join(' ') };
+}
+
+// Root package.json: the workspace and its task runner. `dev` starts every
+// package's dev server side by side; build, test and typecheck run the
+// script in each package that has it.
+function generateWorkspaceManifest(config) {
+  const manager = WORKSPACE_MANAGERS[config.monorepo];
+  const packages = getWorkspacePackages(config);
+  const javascript = packages.filter(pkg => !isPythonPackage(pkg));
+  const python = packages.filter(isPythonPackage);
+  const api = packages.find(pkg => pkg.role === 'api');
+  const commands = python.length > 0 ? getPythonCommands(config) : null;
+  const inPython = (pkg, command) => `cd ${pkg.dir} && uv run ${command}`;
+
+  const scripts = { dev: `concurrently "${config.monorepo}:dev:*"` };
+  packages.forEach(pkg => {
+    scripts[`dev:${pkg.dir}`] = isPythonPackage(pkg) ? inPython(pkg, commands.dev) : manager.run(pkg.name, 'dev');
+  });
+  scripts.build = manager.runAll('build');
+  scripts.start = isPythonPackage(api) ? inPython(api, commands.start) : manager.run(api.name, 'start');
+  scripts.test = [manager.runAll('test'), ...python.map(pkg => inPython(pkg, 'pytest'))].join(' && ');
+  if (config.typescript) {
+    scripts.typecheck = manager.runAll('typecheck');
+  }
+
+  return {
+    name: config.projectName.toLowerCase().replace(/\s+/g, '-'),
+    version: '1.0.0',
+    private: true,
+    ...(manager.version ? { packageManager: manager.version } : {}),
+    // pnpm lists its packages in pnpm-workspace.yaml instead
+    ...(config.monorepo === 'pnpm' ? {} : { workspaces: javascript.map(pkg => pkg.dir) }),
+    scripts,
+    devDependencies: {
+      concurrently: '^8.0.0'
+    }
+  };
+}
+
+// Root files besides package.json: the pnpm workspace list, yarn's
+// node_modules linker (Vite, Next.js and the Dockerfiles expect
+// node_modules), the uv workspace and a .dockerignore for builds from the root
+function getWorkspaceFiles(config) {
+  const packages = getWorkspacePackages(config);
+  const python = packages.filter(isPythonPackage);
+  const files = {};
+
+  if (config.monorepo === 'pnpm') {
+    files['pnpm-workspace.yaml'] = `packages:\n${packages.filter(pkg => !isPythonPackage(pkg)).map(pkg => `  - ${pkg.dir}`).join('\n')}\n`;
+  }
+  if (config.monorepo === 'yarn') {
+    files['.yarnrc.yml'] = 'nodeLinker: node-modules\n';
+  }
+  if (python.length > 0) {
+    files['pyproject.toml'] = `# uv workspace of the Python packages; \`uv sync --all-packages\` installs
+# them into one .venv at the root
+[tool.uv.workspace]
+members = [${python.map(pkg => JSON.stringify(pkg.dir)).join(', ')}]
+`;
+  }
+  files['.dockerignore'] = `**/node_modules
+**/npm-debug.log
+**/dist
+**/build
+**/.next
+**/__pycache__
+.venv
+.git
+.gitignore
+.devcontainer
+.vscode
+.env
+.env.*
+**/Dockerfile
+**/.dockerignore
+`;
+
+  return files;
+}
+
+// Commands that install every package, for the README and AI context
+function getWorkspaceInstallCommands(config) {
+  const packages = getWorkspacePackages(config);
+  return [
+    WORKSPACE_MANAGERS[config.monorepo].install,
+    ...(packages.some(isPythonPackage) ? ['uv sync --all-packages'] : [])
+  ];
+}
+
+// Install stage shared by the workspace Dockerfiles: the root manifest,
+// lockfile and every package's package.json, so the lockfile matches
+function installFromRoot(config, production = false) {
+  const { docker } = WORKSPACE_MANAGERS[config.monorepo];
+  const manifests = getWorkspacePackages(config)
+    .filter(pkg => !isPythonPackage(pkg))
+    .map(pkg => `COPY ${pkg.dir}/package.json ${pkg.dir}/`);
+
+  return `${config.monorepo === 'npm' ? '' : 'RUN corepack enable\n'}
+# Install ${production ? 'production dependencies' : 'dependencies'} of every workspace package from the root lockfile
+COPY ${docker.files.join(' ')} ./
+${manifests.join('\n')}
+RUN ${production ? docker.installProduction : docker.install}`;
+}
+
+// Dockerfiles of JavaScript workspace packages, built with the repository
+// root as context. Same stages as the recipes in universal-setup.js, so
+// compose targets and development stages apply unchanged; each stage ends
+// in the package's directory.
+const WORKSPACE_RECIPES = {
+  nextjs: (config, { dir, port, healthcheck = '' }) => `# Next.js Production Dockerfile (workspace package ${dir}/)
+FROM node:18-alpine AS base
+
+# Install dependencies only when needed
+FROM base AS deps
+RUN apk add --no-cache libc6-compat
+WORKDIR /app
+${installFromRoot(config)}
+
+# Rebuild the source code only when needed
+FROM base AS builder
+WORKDIR /app
+COPY --from=deps /app ./
+COPY ${dir}/ ${dir}/
+
+WORKDIR /app/${dir}
+RUN npm run build
+
+# Production image; the standalone build mirrors the workspace layout
+FROM base AS runner
+WORKDIR /app
+
+ENV NODE_ENV production
+
+RUN addgroup --system --gid 1001 nodejs
+RUN adduser --system --uid 1001 nextjs
+
+COPY --from=builder /app/${dir}/public ./${dir}/public
+COPY --from=builder --chown=nextjs:nodejs /app/${dir}/.next/standalone ./
+COPY --from=builder --chown=nextjs:nodejs /app/${dir}/.next/static ./${dir}/.next/static
+
+USER nextjs
+
+EXPOSE ${port}
+ENV PORT ${port}
+# Docker sets HOSTNAME to the container id; listen on every interface
+ENV HOSTNAME "0.0.0.0"
+
+${healthcheck}CMD ["node", "${dir}/server.js"]
+`,
+
+  vite: (config, { dir, port, healthcheck = '' }) => `# Vite React Application Dockerfile (workspace package ${dir}/)
+FROM node:18-alpine AS build
+
+WORKDIR /app
+${installFromRoot(config)}
+
+# Build the static bundle
+COPY ${dir}/ ${dir}/
+WORKDIR /app/${dir}
+RUN npm run build
+
+FROM node:18-alpine AS production
+
+# vite preview runs from the workspace's dependencies
+COPY --from=build /app /app
+WORKDIR /app/${dir}
+
+USER node
+
+EXPOSE ${port}
+
+${healthcheck}CMD ["npm", "run", "preview"]
+`,
+
+  typescript: (config, { dir, port, healthcheck = '' }) => `# TypeScript Node.js Application Dockerfile (workspace package ${dir}/)
+FROM node:18-alpine AS build
+
+WORKDIR /app
+${installFromRoot(config)}
+
+# Compile TypeScript
+COPY ${dir}/ ${dir}/
+WORKDIR /app/${dir}
+RUN npm run build
+
+FROM node:18-alpine AS production
+
+WORKDIR /app
+${installFromRoot(config, true)}
+
+# Copy compiled output
+COPY --from=build /app/${dir}/dist ${dir}/dist
+WORKDIR /app/${dir}
+
+# Create non-root user
+RUN addgroup -g 1001 -S nodejs
+RUN adduser -S app -u 1001
+RUN chown -R app:nodejs /app
+USER app
+
+EXPOSE ${port}
+
+${healthcheck}CMD ["npm", "start"]
+`,
+
+  node: (config, { dir, port, healthcheck = '' }) => `# Node.js Application Dockerfile (workspace package ${dir}/)
+FROM node:18-alpine AS production
+
+WORKDIR /app
+${installFromRoot(config, true)}
+
+# Copy application code
+COPY ${dir}/ ${dir}/
+WORKDIR /app/${dir}
+
+# Create non-root user
+RUN addgroup -g 1001 -S nodejs
+RUN adduser -S app -u 1001
+RUN chown -R app:nodejs /app
+USER app
+
+EXPOSE ${port}
+
+${healthcheck}CMD ["npm", "start"]
+`
+};
+
+// Whether a package's Dockerfile builds from the root: JavaScript packages
+// in monorepo mode with a workspace recipe
+function buildsFromRoot(config, recipe) {
+  return Boolean(config.monorepo && WORKSPACE_RECIPES[recipe]);
+}
+
+function generateWorkspaceDockerfile(config, recipe, options) {
+  return WORKSPACE_RECIPES[recipe](config, options);
+}
+
+module.exports = {
+  MONOREPO_MANAGERS,
+  getWorkspacePackages,
+  generateWorkspaceManifest,
+  getWorkspaceFiles,
+  getWorkspaceInstallCommands,
+  buildsFromRoot,
+  generateWorkspaceDockerfile
+};
@@ -0,0 +1,187 @@
+// File writer used by setupProject. Every generated file and external
+// command goes through a writer so a run can be planned without side effects:
+//   disk    - write to disk and run commands (normal `init`)
+//   dry-run - keep writes in memory on top of the files already on disk and
+//             only record commands (`init --dry-run`)
+//   memory  - like dry-run but ignore the disk entirely (`regenerate`)
+//
+// Writing over an existing file with different content is a conflict,
+// settled once per path by options.onConflict (one of CONFLICT_POLICIES).
+// `prompt` asks options.resolveConflict(file, previous, content), which
+// resolves to one of the other policies; `backup` copies the old file into
+// options.backupDir first.
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const WRITER_MODES = ['disk', 'dry-run', 'memory'];
+const CONFLICT_POLICIES = ['skip', 'backup', 'overwrite', 'prompt'];
+
+// What happened to each path, by conflict policy
+const CONFLICT_ACTIONS = {
+  skip: 'skipped',
+  backup: 'backed-up',
+  overwrite: 'overwritten',
+  prompt: 'prompt'
+};
+
+function createWriter(rootDir = process.cwd(), options = {}) {
+  const mode = options.mode || 'disk';
+  if (!WRITER_MODES.includes(mode)) {
+    throw new Error(`Unknown writer mode "${mode}" (expected ${WRITER_MODES.join(', ')})`);
+  }
+  const onConflict = options.onConflict || 'overwrite';
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown conflict policy "${onConflict}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+  }
+
+  const root = path.resolve(rootDir);
+  const readsDisk = mode !== 'memory';
+  const writesDisk = mode === 'disk';
+  const files = new Map();
+  const directories = new Set();
+  const commands = [];
+  const downloads = [];
+
+  const resolve = file => path.resolve(root, file);
+  const relative = file => path.relative(root, resolve(file)).split(path.sep).join('/');
+  // Paths from user templates included: nothing is written outside the root
+  const assertInside = file => {
+    const resolved = resolve(file);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write ${file}: it is outside ${root}`);
+    }
+  };
+
+  function readFromDisk(file) {
+    if (!readsDisk || !fs.existsSync(resolve(file))) {
+      return undefined;
+    }
+    return fs.readFileSync(resolve(file), 'utf8');
+  }
+
+  async function resolveConflict(file, previous, content) {
+    let policy = onConflict;
+    if (policy === 'prompt' && writesDisk) {
+      policy = await options.resolveConflict(file, previous, content);
+    }
+    return CONFLICT_ACTIONS[policy];
+  }
+
+  return {
+    mode,
+    root,
+    dryRun: mode !== 'disk',
+
+    exists(file) {
+      const key = relative(file);
+      if (files.has(key) || directories.has(key)) {
+        return true;
+      }
+      return readsDisk && fs.existsSync(resolve(file));
+    },
+
+    readFile(file) {
+      const key = relative(file);
+      return files.has(key) ? files.get(key).content : readFromDisk(file);
+    },
+
+    async mkdir(dir) {
+      assertInside(dir);
+      directories.add(relative(dir));
+      if (writesDisk) {
+        fs.mkdirSync(resolve(dir), { recursive: true });
+      }
+    },
+
+    async writeFile(file, content, mode) {
+      assertInside(file);
+      const key = relative(file);
+      const existing = files.get(key);
+      const generated = String(content);
+      const previous = existing ? existing.previous : readFromDisk(file);
+
+      // Conflicts are settled the first time a path is written with content
+      // that differs from what was on disk
+      let action = existing && existing.action !== 'unchanged' ? existing.action : null;
+      if (!action) {
+        if (previous === undefined) {
+          action = 'created';
+        } else if (previous === generated) {
+          action = 'unchanged';
+        } else {
+          action = await resolveConflict(key, previous, generated);
+          if (action === 'backed-up' && writesDisk) {
+            const target = path.join(options.backupDir, key);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(resolve(file), target);
+          }
+        }
+      }
+
+      files.set(key, {
+        content: action === 'skipped' ? previous : generated,
+        generated,
+        mode: mode || (existing ? existing.mode : 0o644),
+        previous,
+        action
+      });
+
+      if (writesDisk && action !== 'skipped') {
+        fs.mkdirSync(path.dirname(resolve(file)), { recursive: true });
+        fs.writeFileSync(resolve(file), content);
+        if (mode) {
+          fs.chmodSync(resolve(file), mode);
+        }
+      }
+    },
+
+    async chmod(file, mode) {
+      assertInside(file);
+      const entry = files.get(relative(file));
+      if (entry) {
+        entry.mode = mode;
+      }
+      if (writesDisk && !(entry && entry.action === 'skipped')) {
+        fs.chmodSync(resolve(file), mode);
+      }
+    },
+
+    // External commands (package installs). Recorded, and executed on disk runs.
+    run(command) {
+      commands.push(command);
+      if (writesDisk) {
+        execSync(command, { stdio: 'inherit' });
+      }
+    },
+
+    recordDownload(url) {
+      downloads.push(url);
+    },
+
+    // Files written during this run: [{ path, content, generated, mode,
+    // previous, action }]. `previous` is the content that was on disk
+    // (undefined if new), `content` what is there now and `action` one of
+    // created, unchanged, overwritten, backed-up, skipped or prompt
+    // (dry runs with the prompt policy).
+    getFiles() {
+      return [...files.entries()]
+        .map(([file, entry]) => ({ path: file, ...entry }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+    },
+
+    getCommands() {
+      return [...commands];
+    },
+
+    getDownloads() {
+      return [...downloads];
+    }
+  };
+}
+
+module.exports = {
+  WRITER_MODES,
+  CONFLICT_POLICIES,
+  createWriter
+};
@@ -0,0 +1,480 @@
+// Minimal YAML emitter and parser for the files uds generates (compose,
+// devcontainer, Kubernetes manifests). Covers block mappings and sequences,
+// plain/quoted scalars, block literals (| and >), simple flow collections,
+// comments and multi-document streams. Anchors, tags and multi-line plain
+// scalars are not supported.
+
+const RESERVED_PLAIN = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE|y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+const NUMBER_LIKE = /^[-+]?(?:[0-9][0-9_:.]*(?:e[-+]?[0-9]+)?|\.[0-9]+|\.inf|\.Inf|\.INF|\.nan|\.NaN|\.NAN|0x[0-9a-fA-F]+|0o[0-7]+)$/;
+
+function isPlainSafe(text) {
+  return text.length > 0 &&
+    text.trim() === text &&
+    !RESERVED_PLAIN.test(text) &&
+    !NUMBER_LIKE.test(text) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/[\n\r\t]/.test(text) &&
+    !text.includes(': ') &&
+    !text.includes(' #') &&
+    !text.endsWith(':');
+}
+
+function quoteString(text) {
+  if (isPlainSafe(text)) {
+    return text;
+  }
+  // Control characters need double quotes (JSON escapes are valid YAML)
+  if (/[\u0000-\u001f]/.test(text)) {
+    return JSON.stringify(text);
+  }
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function stringifyScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  return quoteString(String(value));
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' &&
+    (Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0);
+}
+
+function emptyCollection(value) {
+  return Array.isArray(value) ? '[]' : '{}';
+}
+
+// Multi-line strings that survive a block literal unchanged; anything else
+// (other control characters, whitespace-only lines, several trailing
+// newlines) is written double-quoted instead
+function isMultiline(value) {
+  return typeof value === 'string' &&
+    value.includes('\n') &&
+    !/[\u0000-\u0009\u000b-\u001f]/.test(value) &&
+    !/(?:^|\n)[ ]+(?:\n|$)/.test(value) &&
+    !value.endsWith('\n\n');
+}
+
+// Block literal for a multi-line string value, e.g. "|" or "|-" followed by
+// the indented lines. Content is always indented two spaces past its key.
+function blockLiteral(value, indent) {
+  const chomp = value.endsWith('\n') ? '' : '-';
+  const body = value.endsWith('\n') ? value.slice(0, -1) : value;
+  const indentation = /^\s/.test(body) ? '2' : '';
+  return [
+    `|${indentation}${chomp}`,
+    ...body.split('\n').map(line => (line ? `${indent}${line}` : ''))
+  ];
+}
+
+function emitValue(value, indent, lines, prefix) {
+  if (isCollection(value)) {
+    lines.push(prefix);
+    emitNode(value, `${indent}  `, lines);
+  } else if (isMultiline(value)) {
+    const [header, ...body] = blockLiteral(value, `${indent}  `);
+    lines.push(`${prefix} ${header}`, ...body);
+  } else {
+    const text = value !== null && typeof value === 'object' ? emptyCollection(value) : stringifyScalar(value);
+    lines.push(`${prefix} ${text}`);
+  }
+}
+
+function emitNode(value, indent, lines, topLevel = false) {
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      if (isCollection(item)) {
+        // First entry shares the "- " line, the rest line up under it
+        const nested = [];
+        emitNode(item, `${indent}  `, nested);
+        lines.push(`${indent}- ${nested[0].slice(indent.length + 2)}`, ...nested.slice(1));
+      } else {
+        emitValue(item, indent, lines, `${indent}-`);
+      }
+    });
+    return;
+  }
+
+  let previous;
+  Object.entries(value)
+    .filter(([, child]) => child !== undefined)
+    .forEach(([key, child], index) => {
+      // Blank line between top-level sections, as in hand-written compose files
+      if (topLevel && index > 0 && (isCollection(child) || isCollection(previous))) {
+        lines.push('');
+      }
+      previous = child;
+      emitValue(child, indent, lines, `${indent}${quoteString(String(key))}:`);
+    });
+}
+
+function stringify(value) {
+  if (!isCollection(value)) {
+    return `${value !== null && typeof value === 'object' ? emptyCollection(value) : stringifyScalar(value)}\n`;
+  }
+  const lines = [];
+  emitNode(value, '', lines, true);
+  return lines.join('\n') + '\n';
+}
+
+// Several documents separated by "---" (e.g. Kubernetes manifests)
+function stringifyAll(documents) {
+  return documents.map(stringify).join('---\n');
+}
+
+// --- Parser ---------------------------------------------------------------
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+// Remove a trailing " # comment" that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          quote = null;
+        }
+      } else if (char === '\\' && quote === '"') {
+        i++;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parsePlain(text) {
+  if (/^(?:~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(?:0|[1-9][0-9]*)$/.test(text)) return Number(text);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+// Split a flow collection body on top-level commas
+function splitFlow(body, line) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      else if (char === '\\' && quote === '"') current += body[i++];
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (quote || depth !== 0) {
+    throw new YamlError('Unterminated flow collection', line);
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+// Index of the ":" separating a mapping key from its value, or -1
+function findMappingColon(text) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      else if (char === '\\' && quote === '"') i++;
+    } else if ((char === '"' || char === "'") && (i === 0 || depth > 0)) {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ':' && depth === 0 && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    if (!/"$/.test(text) || text.length < 2) {
+      throw new YamlError('Unterminated double-quoted string', line);
+    }
+    try {
+      return JSON.parse(text.replace(/\\'/g, "'").replace(/\t/g, '\\t'));
+    } catch (error) {
+      throw new YamlError(`Invalid double-quoted string ${text}`, line);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/'$/.test(text) || text.length < 2) {
+      throw new YamlError('Unterminated single-quoted string', line);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YamlError('Unterminated flow sequence', line);
+    }
+    return splitFlow(text.slice(1, -1), line).map(item => parseScalar(item, line));
+  }
+  if (text.startsWith('{')) {
+    if (!text.endsWith('}')) {
+      throw new YamlError('Unterminated flow mapping', line);
+    }
+    const result = {};
+    splitFlow(text.slice(1, -1), line).forEach(entry => {
+      const colon = findMappingColon(entry);
+      if (colon === -1) {
+        result[String(parseScalar(entry, line))] = null;
+      } else {
+        result[String(parseScalar(entry.slice(0, colon).trim(), line))] = parseScalar(entry.slice(colon + 1).trim(), line);
+      }
+    });
+    return result;
+  }
+  if (/^[&*!]/.test(text)) {
+    throw new YamlError(`Anchors, aliases and tags are not supported: ${text}`, line);
+  }
+  return parsePlain(text);
+}
+
+function tokenize(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+    const indent = raw.length - raw.trimStart().length;
+    if (raw.slice(0, indent).includes('\t')) {
+      throw new YamlError('Tabs are not allowed for indentation', index + 1);
+    }
+    return { raw, indent, text: stripComment(raw.trim()), number: index + 1 };
+  });
+}
+
+function createParser(lines) {
+  let position = 0;
+
+  const skipBlank = () => {
+    while (position < lines.length && lines[position].text === '') {
+      position++;
+    }
+  };
+  const current = () => {
+    skipBlank();
+    return lines[position];
+  };
+
+  // Block literal (| or >) following a key or "- " on the given line
+  function parseBlockScalar(header, parentIndent, line) {
+    const match = /^([|>])(?:([1-9])([-+])?|([-+])([1-9])?)?$/.exec(header);
+    if (!match) {
+      throw new YamlError(`Invalid block scalar header ${header}`, line);
+    }
+    const style = match[1];
+    const explicit = Number(match[2] || match[5] || 0);
+    const chomp = match[3] || match[4] || '';
+
+    const body = [];
+    let blockIndent = explicit ? parentIndent + explicit : null;
+    while (position < lines.length) {
+      const { raw } = lines[position];
+      const indent = raw.length - raw.trimStart().length;
+      if (raw.trim() === '') {
+        body.push('');
+        position++;
+        continue;
+      }
+      if (blockIndent === null) {
+        if (indent <= parentIndent) break;
+        blockIndent = indent;
+      }
+      if (indent < blockIndent) break;
+      body.push(raw.slice(blockIndent));
+      position++;
+    }
+
+    // Trailing blank lines belong to the chomping indicator
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+
+    let content = style === '|'
+      ? body.join('\n')
+      : body.reduce((text, bodyLine, index) => {
+        if (index === 0) return bodyLine;
+        if (bodyLine === '' || /^\s/.test(bodyLine) || /^\s/.test(body[index - 1]) || body[index - 1] === '') {
+          return `${text}\n${bodyLine}`;
+        }
+        return `${text} ${bodyLine}`;
+      }, '');
+
+    if (chomp === '+') {
+      content += '\n'.repeat(trailing + 1);
+    } else if (chomp === '' && body.length > 0) {
+      content += '\n';
+    }
+    return content;
+  }
+
+  // Value after "key:" or "- " (inline text, block scalar or nested block)
+  function parseValue(rest, parentIndent, line, allowSameIndentSequence) {
+    if (rest === '') {
+      const next = current();
+      if (!next) return null;
+      if (next.indent > parentIndent) return parseNode(next.indent);
+      if (allowSameIndentSequence && next.indent === parentIndent && /^-(?: |$)/.test(next.text)) {
+        return parseNode(next.indent);
+      }
+      return null;
+    }
+    if (/^[|>]/.test(rest)) {
+      return parseBlockScalar(rest, parentIndent, line);
+    }
+    return parseScalar(rest, line);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (;;) {
+      const line = current();
+      if (!line || line.indent !== indent || !/^-(?: |$)/.test(line.text)) break;
+      if (line.text === '---' || line.text === '...') break;
+
+      const rest = line.text.slice(1).trimStart();
+      if (/^-(?: |$)/.test(rest) || findMappingColon(rest) !== -1) {
+        // "- key: value" or "- - item": re-read the rest as a nested block
+        // starting at its own column
+        const column = line.raw.indexOf(rest, line.indent + 1);
+        lines[position] = { ...line, indent: column, text: rest };
+        items.push(parseNode(column));
+      } else {
+        position++;
+        items.push(parseValue(rest, indent, line.number, false));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    for (;;) {
+      const line = current();
+      if (!line || line.indent !== indent || /^-(?: |$)/.test(line.text)) break;
+      if (line.text === '---' || line.text === '...') break;
+
+      const colon = findMappingColon(line.text);
+      if (colon === -1) {
+        throw new YamlError(`Expected "key: value", got "${line.text}"`, line.number);
+      }
+      const key = String(parseScalar(line.text.slice(0, colon).trim(), line.number));
+      const rest = line.text.slice(colon + 1).trim();
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw new YamlError(`Duplicate key "${key}"`, line.number);
+      }
+      position++;
+      result[key] = parseValue(rest, indent, line.number, true);
+    }
+    return result;
+  }
+
+  function parseNode(indent) {
+    const line = current();
+    if (!line) return null;
+    if (/^-(?: |$)/.test(line.text) && line.text !== '---') {
+      return parseSequence(indent);
+    }
+    if (findMappingColon(line.text) !== -1) {
+      return parseMapping(indent);
+    }
+    position++;
+    return parseScalar(line.text, line.number);
+  }
+
+  function parseDocument() {
+    const line = current();
+    if (!line) return undefined;
+    const value = parseNode(line.indent);
+    const next = current();
+    if (next && next.text !== '---' && next.text !== '...') {
+      throw new YamlError(`Unexpected content "${next.text}"`, next.number);
+    }
+    return value;
+  }
+
+  return {
+    parseAll() {
+      const documents = [];
+      for (;;) {
+        const line = current();
+        if (!line) break;
+        if (line.text === '---' || line.text === '...') {
+          position++;
+          continue;
+        }
+        if (line.text.startsWith('%')) {
+          position++;
+          continue;
+        }
+        documents.push(parseDocument());
+      }
+      return documents;
+    }
+  };
+}
+
+// All documents in a YAML stream
+function parseAll(text) {
+  return createParser(tokenize(text)).parseAll();
+}
+
+// A single-document YAML string (null for an empty document)
+function parse(text) {
+  const documents = parseAll(text);
+  if (documents.length > 1) {
+    throw new YamlError(`Expected one document, found ${documents.length}`);
+  }
+  return documents.length === 0 ? null : documents[0];
+}
+
+module.exports = {
+  YamlError,
+  stringify,
+  stringifyAll,
+  parse,
+  parseAll
+};
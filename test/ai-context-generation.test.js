@@ -57,7 +57,7 @@ describe('AI Context Generation', () => {
     expect(aiContext).toContain('Lightweight container setup excludes heavy CLI tools');
     
     // Test architecture details
-    expect(aiContext).toContain('Client (3000), Server (3001), Database (5432)');
+    expect(aiContext).toContain('Client (5173), Server (3001), Database (5432)');
     expect(aiContext).toContain('Express.js 4.18.0 with PostgreSQL database');
     
     // Test lightweight container messaging
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const yaml = require('../bin/lib/yaml');
+const { buildServiceGraph, getGraphPorts, toCompose } = require('../bin/lib/services');
+const {
+  createDefaultConfig,
+  setupProject,
+  generateDockerfile,
+  generateDockerCompose,
+  generateDevcontainerConfig,
+  getProjectPorts
+} = require('../bin/universal-setup.js');
+
+const publishedPorts = compose => Object.values(compose.services)
+  .flatMap(service => service.ports || [])
+  .map(mapping => Number(mapping.split(':')[0]));
+
+describe('Compose Service Graph', () => {
+  const projects = [
+    { projectType: 'react', backend: 'express' },
+    { projectType: 'react', backend: 'firebase' },
+    { projectType: 'react', backend: 'nextjs' },
+    { projectType: 'full-stack' },
+    { projectType: 'node' },
+    { projectType: 'python', includeMl: true }
+  ];
+
+  test.each(projects)('compose and devcontainer should publish the same ports (%o)', project => {
+    const config = {
+      projectName: 'ports-app',
+      ...project,
+      strategy: { containerStrategy: 'docker-compose', environmentConfigs: ['development'] }
+    };
+
+    const devcontainer = generateDevcontainerConfig(config);
+
+    expect(publishedPorts(generateDockerCompose(config))).toEqual(getProjectPorts(config));
+    expect(devcontainer.forwardPorts).toEqual(getProjectPorts(config));
+    expect(Object.keys(generateDockerCompose(config).services)).toContain(devcontainer.service);
+  });
+
+  test('full-stack should run Postgres and Redis behind the backend', () => {
+    const compose = generateDockerCompose({ projectType: 'full-stack' });
+
+    expect(Object.keys(compose.services)).toEqual(['frontend', 'backend', 'db', 'redis']);
+    expect(compose.services.backend.environment).toEqual(expect.arrayContaining([
+      'DATABASE_URL=postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@db:5432/myapp',
+      'REDIS_URL=redis://redis:6379'
+    ]));
+    expect(compose.services.backend.depends_on).toEqual({
+      db: { condition: 'service_healthy' },
+      redis: { condition: 'service_healthy' }
+    });
+    expect(compose.services.frontend.depends_on).toEqual({ backend: { condition: 'service_healthy' } });
+    expect(compose.services.db.healthcheck.test).toEqual(['CMD-SHELL', 'pg_isready -U $${POSTGRES_USER} -d $${POSTGRES_DB}']);
+    expect(compose.volumes).toEqual({ postgres_data: {} });
+  });
+
+  test('add-ons should attach to the api services and their ports', () => {
+    const graph = buildServiceGraph({ projectType: 'react', backend: 'express', addons: ['redis', 'postgres'] });
+    const compose = toCompose(graph);
+
+    expect(Object.keys(compose.services)).toEqual(['client', 'server', 'db', 'redis']);
+    expect(compose.services.server.environment).toContain('REDIS_URL=redis://redis:6379');
+    expect(compose.services.client.environment).not.toContain('REDIS_URL=redis://redis:6379');
+    expect(getGraphPorts(graph).map(entry => [entry.port, entry.label])).toEqual([
+      [5173, 'React Client'],
+      [3001, 'Express Server'],
+      [5432, 'PostgreSQL Database'],
+      [6379, 'Redis']
+    ]);
+  });
+
+  test('template ports should define a single app service', () => {
+    const graph = buildServiceGraph({ projectType: 'react' }, {
+      templatePorts: [{ port: 4000, label: 'Svelte', onAutoForward: 'notify' }]
+    });
+
+    expect(toCompose(graph).services).toEqual({
+      app: {
+        build: '.',
+        ports: ['4000:4000'],
+        environment: ['NODE_ENV=development'],
+        volumes: ['.:/app', '/app/node_modules']
+      }
+    });
+  });
+
+  describe('environment compose files', () => {
+    test('production should build the deployable target without bind mounts', () => {
+      const compose = generateDockerCompose({ projectType: 'react', backend: 'express' }, 'production');
+
+      expect(compose.services.server).toEqual({
+        build: { context: './server', dockerfile: 'Dockerfile', target: 'production' },
+        ports: ['3001:3001'],
+        env_file: ['.env.production'],
+        environment: ['NODE_ENV=production'],
+        depends_on: { db: { condition: 'service_healthy' } },
+        healthcheck: {
+          test: ['CMD-SHELL', 'wget -qO /dev/null http://127.0.0.1:3001/health || exit 1'],
+          interval: '10s',
+          timeout: '5s',
+          retries: 5
+        },
+        restart: 'unless-stopped',
+        deploy: { resources: { limits: { cpus: '1.0', memory: '512M' } } }
+      });
+      expect(compose.services.client.environment).toEqual(['NODE_ENV=production']);
+      expect(compose.services.db.ports).toBeUndefined();
+      expect(compose.services.db.volumes).toEqual(['postgres_data:/var/lib/postgresql/data']);
+      expect(compose.services.db.restart).toBe('unless-stopped');
+    });
+
+    test('deployed files should read connection settings and credentials from the env file', () => {
+      const config = { projectType: 'react', backend: 'express', addons: ['redis'] };
+      const development = generateDockerCompose(config);
+      const staging = generateDockerCompose(config, 'staging');
+
+      expect(development.services.server.environment).toContain('DATABASE_URL=postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@db:5432/myapp');
+      expect(development.services.db.env_file).toEqual(['.env.development']);
+      expect(development.services.db.environment).toEqual(['POSTGRES_DB=myapp']);
+      expect(JSON.stringify(development)).not.toContain('password');
+      expect(staging.services.server.environment).toEqual(['NODE_ENV=staging']);
+      expect(staging.services.db.env_file).toEqual(['.env.staging']);
+      expect(staging.services.db.environment).toEqual(['POSTGRES_DB=myapp']);
+      expect(staging.services.redis).not.toHaveProperty('env_file');
+      expect(JSON.stringify(staging)).not.toContain('password');
+    });
+
+    test('build targets should match stages in the generated Dockerfiles', () => {
+      [
+        { projectType: 'node' },
+        { projectType: 'python' },
+        { projectType: 'react', backend: 'nextjs' }
+      ].forEach(config => {
+        const { build } = generateDockerCompose(config, 'staging').services.app;
+        expect(generateDockerfile({ ...config, strategy: {} })).toContain(` AS ${build.target}\n`);
+      });
+    });
+
+    test('setupProject should write one file per non-development environment', async () => {
+      const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compose-env-test-'));
+      const originalCwd = process.cwd();
+      process.chdir(testDir);
+
+      try {
+        const config = createDefaultConfig({ type: 'full-stack', here: true });
+        const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+        const files = new Map(writer.getFiles().map(file => [file.path, file.content]));
+
+        expect(config.strategy.environmentConfigs).toEqual(['development', 'staging', 'production']);
+        expect(files.has('docker-compose.development.yml')).toBe(false);
+        expect(yaml.parse(files.get('docker-compose.staging.yml'))).toEqual(generateDockerCompose(config, 'staging'));
+        expect(yaml.parse(files.get('docker-compose.prod.yml')).services.backend.env_file).toEqual(['.env.production']);
+        expect(files.get('README.md')).toContain('docker-compose -f docker-compose.prod.yml up --build');
+        expect(files.get('README.md')).toContain('docker-compose --env-file .env.development up');
+      } finally {
+        process.chdir(originalCwd);
+        fs.rmSync(testDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  test('should reject unknown services', () => {
+    expect(() => buildServiceGraph({ projectType: 'node', addons: ['oracle'] }))
+      .toThrow('Unknown service "oracle"');
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { createWriter } = require('../bin/lib/writer');
+const { listRuns } = require('../bin/lib/backups');
+const { createDefaultConfig, setupProject, restoreRun } = require('../bin/universal-setup.js');
+
+describe('Conflict Policy', () => {
+  let testDir;
+  let originalCwd;
+
+  const read = file => fs.readFileSync(path.join(testDir, file), 'utf8');
+  const exists = file => fs.existsSync(path.join(testDir, file));
+
+  beforeEach(() => {
+    testDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-test-')));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+    fs.writeFileSync('README.md', '# Hand-written\n');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('createWriter', () => {
+    test('skip should leave existing files untouched', async () => {
+      const writer = createWriter(testDir, { onConflict: 'skip' });
+
+      await writer.writeFile('README.md', '# Generated\n');
+      await writer.writeFile('Dockerfile', 'FROM node:18\n');
+
+      expect(read('README.md')).toBe('# Hand-written\n');
+      expect(writer.readFile('README.md')).toBe('# Hand-written\n');
+      expect(read('Dockerfile')).toBe('FROM node:18\n');
+      expect(writer.getFiles().map(file => [file.path, file.action])).toEqual([
+        ['Dockerfile', 'created'],
+        ['README.md', 'skipped']
+      ]);
+    });
+
+    test('backup should copy the old file before overwriting it', async () => {
+      const backupDir = path.join(testDir, '.uds', 'backups', 'run');
+      const writer = createWriter(testDir, { onConflict: 'backup', backupDir });
+
+      await writer.writeFile('README.md', '# Generated\n');
+      await writer.writeFile('README.md', '# Generated again\n');
+
+      expect(read('README.md')).toBe('# Generated again\n');
+      expect(fs.readFileSync(path.join(backupDir, 'README.md'), 'utf8')).toBe('# Hand-written\n');
+      expect(writer.getFiles()[0].action).toBe('backed-up');
+    });
+
+    test('prompt should ask once per conflicting file', async () => {
+      const resolveConflict = jest.fn().mockResolvedValue('overwrite');
+      const writer = createWriter(testDir, { onConflict: 'prompt', resolveConflict });
+
+      await writer.writeFile('README.md', '# Hand-written\n');
+      expect(resolveConflict).not.toHaveBeenCalled();
+
+      await writer.writeFile('README.md', '# Generated\n');
+      await writer.writeFile('README.md', '# Generated twice\n');
+
+      expect(resolveConflict).toHaveBeenCalledTimes(1);
+      expect(resolveConflict).toHaveBeenCalledWith('README.md', '# Hand-written\n', '# Generated\n');
+      expect(read('README.md')).toBe('# Generated twice\n');
+    });
+
+    test('should reject unknown policies', () => {
+      expect(() => createWriter(testDir, { onConflict: 'merge' })).toThrow('Unknown conflict policy "merge"');
+    });
+  });
+
+  describe('setupProject', () => {
+    const runSetup = onConflict => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('offline'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const config = createDefaultConfig({ type: 'node', here: true });
+      return setupProject(config, { onConflict, quiet: true, installTools: false });
+    };
+
+    test('skip should keep hand-written files out of the baseline', async () => {
+      await runSetup('skip');
+
+      expect(read('README.md')).toBe('# Hand-written\n');
+      expect(exists('server.js')).toBe(true);
+      expect(exists('.uds/baseline/server.js')).toBe(true);
+      expect(exists('.uds/baseline/README.md')).toBe(false);
+    });
+
+    test('restore should roll back a backed-up run', async () => {
+      await runSetup('backup');
+      expect(read('README.md')).toContain('# conflict-test-');
+
+      const [run] = listRuns(testDir);
+      const results = restoreRun(testDir, run.id);
+
+      expect(results).toEqual(expect.arrayContaining([
+        { file: 'README.md', status: 'restored' },
+        { file: 'server.js', status: 'removed' },
+        { file: '.devcontainer/devcontainer.json', status: 'removed' }
+      ]));
+      expect(read('README.md')).toBe('# Hand-written\n');
+      expect(exists('server.js')).toBe(false);
+      expect(exists('.devcontainer')).toBe(false);
+      expect(exists('.uds/baseline')).toBe(false);
+      expect(() => restoreRun(testDir, run.id)).toThrow('already restored');
+    });
+
+    test('restore should keep files edited after the run unless forced', async () => {
+      await runSetup('backup');
+      fs.appendFileSync('server.js', '// my change\n');
+
+      const [run] = listRuns(testDir);
+      const results = restoreRun(testDir, run.id);
+
+      expect(results).toContainEqual({ file: 'server.js', status: 'modified-since' });
+      expect(read('server.js')).toContain('// my change');
+
+      restoreRun(testDir, run.id, { force: true });
+      expect(exists('server.js')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+const {
+  listTemplates,
+  loadTemplate,
+  registerTemplatesFrom,
+  installTemplates,
+  mergeOverlay,
+  renderTemplateFiles
+} = require('../bin/lib/templates');
+const {
+  selectConfigurationStrategy,
+  getProjectPorts,
+  getPortAttributes,
+  generatePackageJson,
+  generateDockerfile,
+  generateDevcontainerConfig
+} = require('../bin/universal-setup.js');
+
+function writeTemplate(dir, manifest, extraFiles = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'template.json'), JSON.stringify(manifest, null, 2));
+  Object.entries(extraFiles).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+}
+
+const GO_SERVICE = {
+  name: 'go-service',
+  version: '0.2.0',
+  description: 'Go HTTP service',
+  ports: [{ port: 8080, label: 'Go API' }, 9090],
+  strategy: { containerStrategy: 'docker', deploymentStrategy: 'containerized' },
+  packageJson: false,
+  dockerfile: 'Dockerfile',
+  devcontainer: {
+    customizations: { vscode: { extensions: ['golang.go'] } }
+  },
+  files: {
+    'main.go': 'package main // {{projectName}} on {{port}}'
+  }
+};
+
+describe('User-defined Templates', () => {
+  let homeDir;
+  let homedirSpy;
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uds-home-'));
+    homedirSpy = jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    writeTemplate(path.join(homeDir, '.universal-dev-env', 'templates', 'go-service'), GO_SERVICE, {
+      Dockerfile: 'FROM golang:1.22-alpine\nEXPOSE {{port}}\n'
+    });
+  });
+
+  afterEach(() => {
+    homedirSpy.mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('should list templates from ~/.universal-dev-env/templates', () => {
+    const template = listTemplates().find(t => t.name === 'go-service');
+
+    expect(template).toBeDefined();
+    expect(template.origin).toBe('user');
+    expect(template.version).toBe('0.2.0');
+    expect(listTemplates().find(t => t.name === 'react').origin).toBe('builtin');
+  });
+
+  test('selectConfigurationStrategy should apply template strategy overrides', () => {
+    const strategy = selectConfigurationStrategy({ projectType: 'go-service', projectName: 'api' });
+
+    expect(strategy.containerStrategy).toBe('docker');
+    expect(strategy.deploymentStrategy).toBe('containerized');
+  });
+
+  test('ports and labels should come from the manifest', () => {
+    const config = { projectType: 'go-service', projectName: 'api' };
+    const ports = getProjectPorts(config);
+
+    expect(ports).toEqual([8080, 9090]);
+    expect(getPortAttributes(config, ports)[8080].label).toBe('Go API');
+    expect(getPortAttributes(config, ports)[9090].label).toBe('go-service (9090)');
+  });
+
+  test('should render the Dockerfile overlay and skip package.json when disabled', () => {
+    const config = { projectType: 'go-service', projectName: 'api' };
+
+    expect(generateDockerfile(config)).toBe('FROM golang:1.22-alpine\nEXPOSE 8080\n');
+    expect(generatePackageJson(config)).toBeNull();
+  });
+
+  test('should merge the devcontainer overlay', () => {
+    const config = { projectType: 'go-service', projectName: 'api' };
+    config.strategy = selectConfigurationStrategy(config);
+
+    const devcontainer = generateDevcontainerConfig(config);
+
+    expect(devcontainer.customizations.vscode.extensions).toContain('golang.go');
+    expect(devcontainer.forwardPorts).toEqual([8080, 9090]);
+    expect(devcontainer.portsAttributes[8080].label).toBe('Go API');
+  });
+
+  test('should register templates from a local path for this run', () => {
+    const sourceDir = path.join(homeDir, 'team-templates');
+    writeTemplate(path.join(sourceDir, 'django-mono'), {
+      name: 'django-mono',
+      version: '1.0.0',
+      packageJson: { scripts: { dev: 'python manage.py runserver' } }
+    });
+
+    registerTemplatesFrom(sourceDir);
+
+    expect(loadTemplate('django-mono').origin).toBe('path');
+    const pkg = generatePackageJson({ projectType: 'django-mono', projectName: 'mono' });
+    expect(pkg.name).toBe('mono');
+    expect(pkg.scripts.dev).toBe('python manage.py runserver');
+  });
+
+  test('should throw when a path contains no templates', () => {
+    expect(() => registerTemplatesFrom(path.join(homeDir, 'missing'))).toThrow('No template.json found');
+  });
+
+  test('should install templates from a git URL', () => {
+    const repoDir = path.join(homeDir, 'repo');
+    writeTemplate(repoDir, { name: 'rust-cli', version: '1.1.0' });
+    try {
+      execSync('git init -q && git add -A && git -c user.email=t@e.st -c user.name=test commit -qm init', { cwd: repoDir, stdio: 'ignore' });
+    } catch (error) {
+      console.warn('Git not available for template install test');
+      return;
+    }
+
+    const installed = installTemplates(`file://${repoDir}`);
+
+    expect(installed.map(t => t.name)).toEqual(['rust-cli']);
+    expect(fs.existsSync(path.join(homeDir, '.universal-dev-env', 'templates', 'rust-cli', 'template.json'))).toBe(true);
+    expect(fs.existsSync(path.join(homeDir, '.universal-dev-env', 'templates', 'rust-cli', '.git'))).toBe(false);
+  });
+
+  test('should pass a git URL to git without a shell', () => {
+    const marker = path.join(homeDir, 'injected');
+
+    expect(() => installTemplates(`file://${homeDir}/missing.git"; touch "${marker}`)).toThrow();
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+
+  test('should reject manifest files outside the project', () => {
+    ['../../.bashrc', '/etc/cron.d/job', 'src/../../outside.txt'].forEach((file, index) => {
+      const dir = path.join(homeDir, `escape-${index}`);
+      writeTemplate(dir, { name: `escape-${index}`, version: '1.0.0', files: { [file]: 'echo pwned\n' } });
+
+      expect(() => registerTemplatesFrom(dir)).toThrow(`files must stay inside the project (${file})`);
+    });
+  });
+
+  test('should rename only the dotfile stand-ins', () => {
+    const dir = path.join(homeDir, 'flask-app');
+    writeTemplate(dir, { name: 'flask-app', version: '1.0.0' }, {
+      'files/_gitignore': '__pycache__/\n',
+      'files/_github/workflows/ci.yml': 'name: CI\n',
+      'files/app/__init__.py': '',
+      'files/pages/_app.tsx': 'export default App;\n'
+    });
+
+    const paths = renderTemplateFiles({ dir }, {}).map(file => file.path).sort();
+
+    expect(paths).toEqual(['.github/workflows/ci.yml', '.gitignore', 'app/__init__.py', 'pages/_app.tsx']);
+  });
+
+  test('mergeOverlay should deep merge objects and de-duplicate arrays', () => {
+    const merged = mergeOverlay(
+      { a: { b: 1, list: ['x'] }, keep: true },
+      { a: { c: 2, list: ['x', 'y'] } }
+    );
+
+    expect(merged).toEqual({ a: { b: 1, c: 2, list: ['x', 'y'] }, keep: true });
+  });
+});
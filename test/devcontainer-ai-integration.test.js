@@ -86,14 +86,14 @@ describe('DevContainer AI Integration', () => {
     const devcontainerConfig = generateDevcontainerConfig(config);
     
     // Test docker-compose configuration
-    expect(devcontainerConfig.dockerComposeFile).toBe('docker-compose.yml');
+    expect(devcontainerConfig.dockerComposeFile).toBe('../docker-compose.yml');
     expect(devcontainerConfig.service).toBe('client');
     expect(devcontainerConfig.workspaceFolder).toBe('/app');
     expect(devcontainerConfig.build).toBeUndefined(); // Should be deleted for docker-compose
     
     // Test port forwarding for full-stack
-    expect(devcontainerConfig.forwardPorts).toEqual([3000, 3001, 5432]);
-    expect(devcontainerConfig.portsAttributes['3000'].label).toBe('React Client');
+    expect(devcontainerConfig.forwardPorts).toEqual([5173, 3001, 5432]);
+    expect(devcontainerConfig.portsAttributes['5173'].label).toBe('React Client');
     expect(devcontainerConfig.portsAttributes['3001'].label).toBe('Express Server');
     expect(devcontainerConfig.portsAttributes['5432'].label).toBe('PostgreSQL Database');
     
@@ -114,7 +114,7 @@ describe('DevContainer AI Integration', () => {
       {
         projectType: 'react', 
         backend: 'firebase',
-        expectedPorts: [3000, 5001, 9099],
+        expectedPorts: [5173, 5001, 9099],
         expectedService: undefined
       },
       {
@@ -170,7 +170,7 @@ describe('DevContainer AI Integration', () => {
     // Should use docker-compose strategy
     expect(lightweightStrategy.containerStrategy).toBe('docker-compose');
     expect(lightweightStrategy.includeTools.aiClis).toBe(false);
-    expect(lightweightDevContainer.dockerComposeFile).toBe('docker-compose.yml');
+    expect(lightweightDevContainer.dockerComposeFile).toBe('../docker-compose.yml');
     
     // Full tooling strategy (React frontend only)
     const fullConfig = {
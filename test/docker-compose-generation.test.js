@@ -15,6 +15,7 @@ fs.readFileSync = jest.fn().mockReturnValue(JSON.stringify({
 path.join = jest.fn((...args) => args.join('/'));
 
 const { generateDockerCompose } = require('../bin/universal-setup.js');
+const yaml = require('../bin/lib/yaml');
 
 describe('Docker Compose Generation', () => {
   
@@ -25,7 +26,7 @@ describe('Docker Compose Generation', () => {
       projectName: 'fullstack-app'
     };
     
-    const dockerCompose = generateDockerCompose(config);
+    const dockerCompose = yaml.stringify(generateDockerCompose(config));
     
     expect(dockerCompose).toContain('version: \'3.8\'');
     expect(dockerCompose).toContain('services:');
@@ -33,7 +34,7 @@ describe('Docker Compose Generation', () => {
     expect(dockerCompose).toContain('server:');
     expect(dockerCompose).toContain('db:');
     expect(dockerCompose).toContain('postgres:15-alpine');
-    expect(dockerCompose).toContain('3000:3000');
+    expect(dockerCompose).toContain('5173:5173');
     expect(dockerCompose).toContain('3001:3001');
     expect(dockerCompose).toContain('5432:5432');
     expect(dockerCompose).toContain('postgres_data:');
@@ -45,7 +46,7 @@ describe('Docker Compose Generation', () => {
       projectName: 'fullstack-app'
     };
     
-    const dockerCompose = generateDockerCompose(config);
+    const dockerCompose = yaml.stringify(generateDockerCompose(config));
     
     expect(dockerCompose).toContain('frontend:');
     expect(dockerCompose).toContain('backend:');
@@ -59,7 +60,7 @@ describe('Docker Compose Generation', () => {
       projectName: 'simple-app'
     };
     
-    const dockerCompose = generateDockerCompose(config);
+    const dockerCompose = yaml.stringify(generateDockerCompose(config));
     
     expect(dockerCompose).toContain('version: \'3.8\'');
     expect(dockerCompose).toContain('app:');
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { unifiedDiff } = require('../bin/lib/merge');
+const { createWriter } = require('../bin/lib/writer');
+const { createDefaultConfig, setupProject } = require('../bin/universal-setup.js');
+
+describe('Dry Run', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('unifiedDiff', () => {
+    test('should print hunks with context', () => {
+      const diff = unifiedDiff('a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n', 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n', {
+        fromFile: 'a/file',
+        toFile: 'b/file'
+      });
+
+      expect(diff).toBe([
+        '--- a/file',
+        '+++ b/file',
+        '@@ -1,5 +1,5 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        ' d',
+        ' e',
+        '@@ -8,3 +8,4 @@',
+        ' h',
+        ' i',
+        ' j',
+        '+k',
+        ''
+      ].join('\n'));
+    });
+
+    test('should return an empty string for identical input', () => {
+      expect(unifiedDiff('same\n', 'same\n')).toBe('');
+    });
+  });
+
+  describe('createWriter', () => {
+    test('should refuse paths outside its root', async () => {
+      const writer = createWriter(path.join(testDir, 'project'), { mode: 'disk' });
+
+      await expect(writer.writeFile('../.bashrc', 'echo pwned\n')).rejects.toThrow('is outside');
+      await expect(writer.writeFile(path.join(os.tmpdir(), 'pwned'), 'x')).rejects.toThrow('is outside');
+      await expect(writer.mkdir('../sibling')).rejects.toThrow('is outside');
+      expect(fs.existsSync(path.join(testDir, '.bashrc'))).toBe(false);
+      await writer.writeFile('nested/../inside.txt', 'ok\n');
+      expect(fs.readFileSync(path.join(testDir, 'project', 'inside.txt'), 'utf8')).toBe('ok\n');
+    });
+
+    test('dry-run mode should layer planned writes over the disk without touching it', async () => {
+      fs.writeFileSync('README.md', 'mine\n');
+      const writer = createWriter(testDir, { mode: 'dry-run' });
+
+      await writer.mkdir('k8s');
+      await writer.writeFile('k8s/service.yaml', 'port: 80\n');
+      await writer.writeFile('README.md', 'generated\n');
+      writer.run('npm install -g something');
+
+      expect(writer.exists('k8s')).toBe(true);
+      expect(writer.exists('README.md')).toBe(true);
+      expect(writer.readFile('README.md')).toBe('generated\n');
+      expect(fs.readdirSync(testDir)).toEqual(['README.md']);
+      expect(fs.readFileSync('README.md', 'utf8')).toBe('mine\n');
+      expect(writer.getFiles().map(file => [file.path, file.previous])).toEqual([
+        ['k8s/service.yaml', undefined],
+        ['README.md', 'mine\n']
+      ]);
+      expect(writer.getCommands()).toEqual(['npm install -g something']);
+    });
+
+    test('memory mode should ignore files on disk', async () => {
+      fs.writeFileSync('package.json', '{}');
+      const writer = createWriter(testDir, { mode: 'memory' });
+
+      expect(writer.exists('package.json')).toBe(false);
+      await writer.writeFile('package.json', '{ "name": "x" }');
+      expect(writer.getFiles()[0].previous).toBeUndefined();
+    });
+  });
+
+  describe('setupProject with dryRun', () => {
+    test('should plan every file and command without writing or downloading', async () => {
+      jest.spyOn(os, 'platform').mockReturnValue('linux');
+      const fetchSpy = jest.spyOn(global, 'fetch');
+      fs.writeFileSync('README.md', '# Hand-written\n');
+
+      const config = createDefaultConfig({ type: 'react', backend: 'express', here: true });
+      const writer = await setupProject(config, { dryRun: true, quiet: true });
+      const files = writer.getFiles();
+
+      expect(fs.readdirSync(testDir)).toEqual(['README.md']);
+      expect(fs.readFileSync('README.md', 'utf8')).toBe('# Hand-written\n');
+      expect(fetchSpy).not.toHaveBeenCalled();
+
+      expect(files.map(file => file.path)).toEqual(expect.arrayContaining([
+        'docker-compose.yml',
+        'client/src/App.jsx',
+        'server/index.js',
+        'k8s/base/deployment.yaml',
+        'uds.config.json',
+        'universal-setup.sh'
+      ]));
+      expect(files.find(file => file.path === 'universal-setup.sh').mode).toBe(0o755);
+      expect(files.find(file => file.path === 'README.md').previous).toBe('# Hand-written\n');
+      expect(writer.getDownloads()).toHaveLength(3);
+      expect(writer.getCommands()).toEqual(['npm install -g @anthropic-ai/claude-cli']);
+    });
+
+    test('should not create the project subdirectory', async () => {
+      const config = createDefaultConfig({ type: 'node', name: 'planned-app' });
+
+      const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+
+      expect(writer.root).toBe(path.join(fs.realpathSync(testDir), 'planned-app'));
+      expect(fs.existsSync(path.join(testDir, 'planned-app'))).toBe(false);
+      expect(writer.getFiles().map(file => file.path)).toContain('server.js');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+const {
+  parseEnv,
+  updateGitignore,
+  checkEnvFiles,
+  readEnvSchema,
+  diffEnvFiles,
+  syncEnvFiles,
+  validateEnvFiles,
+  REQUIRED
+} = require('../bin/lib/env');
+const { createDefaultConfig, setupProject, generateEnvironmentConfig } = require('../bin/universal-setup.js');
+
+describe('Environment Files', () => {
+  const config = { projectName: 'env-app', projectType: 'react', backend: 'express' };
+
+  test('parseEnv should read KEY=value lines', () => {
+    expect(parseEnv('# comment\nA=1\nexport B = "two words"\n\nC=\nnot a line\n')).toEqual({
+      A: '1',
+      B: 'two words',
+      C: ''
+    });
+  });
+
+  test('development secrets should be random and kept on re-runs', () => {
+    const first = parseEnv(generateEnvironmentConfig(config, 'development'));
+    const second = parseEnv(generateEnvironmentConfig(config, 'development'));
+    const rerun = parseEnv(generateEnvironmentConfig(config, 'development', first));
+
+    expect(first.JWT_SECRET).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.JWT_SECRET).not.toBe(first.JWT_SECRET);
+    expect(rerun.JWT_SECRET).toBe(first.JWT_SECRET);
+  });
+
+  test('deployed environments should mark secrets and URLs as REQUIRED', () => {
+    const production = parseEnv(generateEnvironmentConfig(config, 'production'));
+
+    expect(production).toEqual({
+      NODE_ENV: 'production',
+      API_URL: REQUIRED,
+      VITE_API_URL: REQUIRED,
+      DATABASE_URL: REQUIRED,
+      POSTGRES_USER: REQUIRED,
+      POSTGRES_PASSWORD: REQUIRED,
+      JWT_SECRET: REQUIRED
+    });
+  });
+
+  test('updateGitignore should add the managed block once', () => {
+    const once = updateGitignore('node_modules/\n');
+    const twice = updateGitignore(once);
+
+    expect(once).toBe([
+      'node_modules/',
+      '',
+      '# >>> uds: environment files',
+      '.env',
+      '.env.*',
+      '!.env.example',
+      '!.env.schema.json',
+      '# <<< uds: environment files',
+      ''
+    ].join('\n'));
+    expect(twice).toBe(once);
+  });
+
+  describe('on disk', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(() => {
+      testDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'env-test-')));
+      originalCwd = process.cwd();
+      process.chdir(testDir);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('init should write .env.example and ignore the env files', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('offline'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      fs.writeFileSync('.gitignore', 'coverage/\n');
+
+      await setupProject(createDefaultConfig({ type: 'react', backend: 'express', here: true }), {
+        quiet: true,
+        installTools: false
+      });
+      const development = fs.readFileSync('.env.development', 'utf8');
+
+      expect(fs.readFileSync('.gitignore', 'utf8')).toMatch(/^coverage\/\n\n# >>> uds: environment files\n\.env\n/);
+      expect(parseEnv(fs.readFileSync('.env.example', 'utf8'))).toMatchObject({ JWT_SECRET: '', API_URL: 'http://localhost:3001' });
+
+      await setupProject(createDefaultConfig({ type: 'react', backend: 'express', here: true }), {
+        onConflict: 'overwrite',
+        quiet: true,
+        installTools: false
+      });
+      expect(fs.readFileSync('.env.development', 'utf8')).toBe(development);
+    });
+
+    describe('schema commands', () => {
+      const schema = {
+        environments: ['development', 'production'],
+        variables: {
+          API_URL: { type: 'url', example: 'http://localhost:3001' },
+          PORT: { type: 'port', example: '3000' },
+          DEBUG: { type: 'boolean', example: 'true' },
+          JWT_SECRET: { type: 'secret' }
+        }
+      };
+
+      beforeEach(() => {
+        fs.writeFileSync('.env.schema.json', JSON.stringify(schema));
+        fs.writeFileSync('.env.development', 'API_URL=http://localhost:3001\nPORT=3000\nDEBUG=maybe\nJWT_SECRET=short\nEXTRA=1\n');
+        fs.writeFileSync('.env.production', 'API_URL=REQUIRED\nPORT=80\n');
+      });
+
+      test('diff should list keys missing per environment', () => {
+        expect(diffEnvFiles(testDir, readEnvSchema(testDir))).toEqual([
+          { key: 'DEBUG', inSchema: true, missing: ['production'] },
+          { key: 'JWT_SECRET', inSchema: true, missing: ['production'] },
+          { key: 'EXTRA', inSchema: false, missing: ['production'] }
+        ]);
+      });
+
+      test('sync should append missing schema keys as REQUIRED outside development', () => {
+        expect(syncEnvFiles(testDir, schema)).toEqual([
+          { file: '.env.production', keys: ['DEBUG', 'JWT_SECRET'], created: false }
+        ]);
+        expect(fs.readFileSync('.env.production', 'utf8')).toBe(
+          'API_URL=REQUIRED\nPORT=80\n\n# Added by uds env sync\nDEBUG=REQUIRED\nJWT_SECRET=REQUIRED\n'
+        );
+        expect(syncEnvFiles(testDir, schema)).toEqual([]);
+      });
+
+      test('validate should type-check values against the schema', () => {
+        expect(validateEnvFiles(testDir, schema).map(issue => `${issue.level} ${issue.file} ${issue.key} ${issue.message}`)).toEqual([
+          'error .env.development DEBUG is not a boolean (true/false): maybe',
+          'error .env.development JWT_SECRET is too short for a secret (16+ characters): short',
+          'warning .env.development EXTRA is not in .env.schema.json',
+          'error .env.production API_URL is still REQUIRED',
+          'error .env.production DEBUG is missing',
+          'error .env.production JWT_SECRET is missing'
+        ]);
+      });
+
+      test('generated env files should validate against the generated schema', async () => {
+        fs.rmSync('.env.production');
+        const config = createDefaultConfig({ type: 'python', here: true, with: ['redis', 'postgres', 'minio'] });
+        const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+        writer.getFiles()
+          .filter(file => file.path.startsWith('.env'))
+          .forEach(file => fs.writeFileSync(file.path, file.content));
+
+        expect(readEnvSchema(testDir).variables.SECRET_KEY).toEqual({ type: 'secret', description: 'Python Configuration' });
+        expect(validateEnvFiles(testDir, readEnvSchema(testDir), { environments: ['development'] })).toEqual([]);
+        expect(diffEnvFiles(testDir, readEnvSchema(testDir))).toEqual([]);
+      });
+    });
+
+    test('checkEnvFiles should report placeholders and tracked env files', () => {
+      fs.writeFileSync('.env.production', 'NODE_ENV=production\nJWT_SECRET=REQUIRED\nAPI_URL=https://your-api.com\n');
+      fs.writeFileSync('.env.example', 'JWT_SECRET=\n');
+
+      expect(checkEnvFiles(testDir)).toEqual({
+        problems: [
+          { file: '.env.production', key: 'JWT_SECRET', value: 'REQUIRED', problem: 'placeholder' },
+          { file: '.env.production', key: 'API_URL', value: 'https://your-api.com', problem: 'placeholder' }
+        ],
+        inRepository: false
+      });
+
+      fs.writeFileSync('.env.production', 'NODE_ENV=production\nJWT_SECRET=5d41402abc4b2a76\n');
+      execSync('git init -q && git add .env.production .env.example', { cwd: testDir });
+
+      expect(checkEnvFiles(testDir)).toEqual({
+        problems: [{ file: '.env.production', problem: 'tracked' }],
+        inRepository: true
+      });
+    });
+
+    test('checkEnvFiles should report a missing env file only when an overlay deploys from it', () => {
+      expect(checkEnvFiles(testDir).problems).toEqual([]);
+
+      fs.mkdirSync(path.join('k8s', 'overlays', 'production'), { recursive: true });
+
+      expect(checkEnvFiles(testDir).problems).toEqual([
+        { file: '.env.production', consumers: ['k8s/overlays/production'], problem: 'missing' }
+      ]);
+    });
+  });
+});
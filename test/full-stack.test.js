@@ -0,0 +1,57 @@
+const { listFrontends, listBackends } = require('../bin/lib/profiles');
+const { getProjectPorts, serializeProjectConfig } = require('../bin/universal-setup.js');
+const { useTempDir, generate } = require('./helpers/generate');
+
+describe('Full-Stack Projects', () => {
+  useTempDir('full-stack-test');
+
+  const generateFullStack = options => generate({ type: 'full-stack', ...options });
+
+  test('should offer React and Next.js frontends and three backends', () => {
+    expect(listFrontends('full-stack').map(frontend => frontend.id)).toEqual(['react', 'nextjs']);
+    expect(listBackends('full-stack').map(backend => backend.id)).toEqual(['express', 'fastify', 'fastapi']);
+  });
+
+  test('should default to a Vite frontend calling an Express backend through the API client', async () => {
+    const { config, writer, compose } = await generateFullStack({});
+
+    expect(writer.readFile('frontend/src/api.js')).toContain("import.meta.env.VITE_API_URL || 'http://localhost:3001'");
+    expect(writer.readFile('frontend/src/App.jsx')).toContain("import { apiGet } from './api';");
+    expect(writer.readFile('backend/index.js')).toContain("app.get('/api/hello'");
+    expect(writer.exists('frontend/Dockerfile')).toBe(true);
+    expect(writer.exists('backend/Dockerfile')).toBe(true);
+    expect(writer.exists('Dockerfile')).toBe(false);
+    expect(compose.services.frontend.build).toMatchObject({ context: './frontend', target: 'build' });
+    expect(compose.services.frontend.command).toEqual(['npm', 'run', 'dev']);
+    expect(compose.services.frontend.environment).toContain('VITE_API_URL=http://localhost:3001');
+    expect(compose.services.frontend.depends_on).toHaveProperty('backend');
+    expect(getProjectPorts(config)).toEqual([5173, 3001, 5432, 6379]);
+    expect(serializeProjectConfig(config)).toMatchObject({ frontend: 'react', backend: 'express' });
+  });
+
+  test('should build a Next.js frontend standalone and point it at a Fastify backend', async () => {
+    const { config, writer, compose } = await generateFullStack({ frontend: 'nextjs', backend: 'fastify', typescript: true });
+
+    expect(writer.readFile('frontend/lib/api.ts')).toContain('process.env.NEXT_PUBLIC_API_URL');
+    expect(writer.readFile('frontend/pages/index.tsx')).toContain("import { apiGet } from '../lib/api';");
+    expect(writer.readFile('frontend/next.config.js')).toContain("output: 'standalone'");
+    expect(writer.readFile('frontend/Dockerfile')).toContain('FROM base AS runner');
+    expect(JSON.parse(writer.readFile('backend/package.json')).dependencies).toHaveProperty('fastify');
+    expect(writer.readFile('backend/index.ts')).toContain("import Fastify from 'fastify';");
+    expect(compose.services.frontend.build.target).toBe('builder');
+    expect(compose.services.backend.build.target).toBe('build');
+    expect(getProjectPorts(config)).toEqual([3000, 3001, 5432, 6379]);
+  });
+
+  test('should run a FastAPI backend with uvicorn on 8000', async () => {
+    const { writer, compose } = await generateFullStack({ backend: 'fastapi' });
+
+    expect(writer.readFile('backend/app/main.py')).toContain('@app.get("/api/hello")');
+    expect(writer.readFile('backend/requirements.txt')).toContain('fastapi>=');
+    expect(writer.exists('backend/package.json')).toBe(false);
+    expect(writer.readFile('backend/Dockerfile')).toContain('CMD ["uvicorn", "app.main:app", "--host", "0.0.0.0", "--port", "8000"]');
+    expect(writer.readFile('frontend/src/api.js')).toContain("'http://localhost:8000'");
+    expect(compose.services.backend.command).toContain('--reload');
+    expect(compose.services.frontend.environment).toContain('VITE_API_URL=http://localhost:8000');
+  });
+});
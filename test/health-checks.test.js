@@ -0,0 +1,87 @@
+const yaml = require('../bin/lib/yaml');
+
+const { generateDockerfile, generateDockerCompose, generateKubernetesManifests } = require('../bin/universal-setup.js');
+const { useTempDir, generate } = require('./helpers/generate');
+
+describe('Health Checks', () => {
+  useTempDir('health-checks-test');
+
+  test('should serve /health from the Express server and wait for it in compose', async () => {
+    const { writer, compose } = await generate({ type: 'react', backend: 'express' });
+    const server = writer.readFile('server/index.js');
+
+    expect(server.indexOf("app.get('/health'")).toBeGreaterThan(-1);
+    expect(server.indexOf("app.get('/health'")).toBeLessThan(server.indexOf("app.get('*'"));
+    expect(writer.readFile('client/public/health')).toBe('{"status":"ok"}\n');
+    expect(writer.readFile('server/Dockerfile')).toContain('HEALTHCHECK --interval=10s --timeout=5s --retries=5 \\\n    CMD wget -qO /dev/null http://127.0.0.1:3001/health || exit 1\n\nCMD ["npm", "start"]');
+    expect(writer.readFile('client/Dockerfile')).toContain('http://127.0.0.1:5173/health');
+    expect(compose.services.server.healthcheck.test).toEqual(['CMD-SHELL', 'wget -qO /dev/null http://127.0.0.1:3001/health || exit 1']);
+    expect(compose.services.client.depends_on).toEqual({ server: { condition: 'service_healthy' } });
+  });
+
+  test('should expose and probe the Express server from the root React + Express image', async () => {
+    const { writer } = await generate({ type: 'react', backend: 'express' });
+    const dockerfile = writer.readFile('Dockerfile');
+
+    expect(dockerfile).toContain('EXPOSE 3001');
+    expect(dockerfile).not.toContain('5173');
+    expect(dockerfile).toContain('CMD wget -qO /dev/null http://127.0.0.1:3001/health || exit 1\n\nCMD ["npm", "start"]');
+    expect(generateDockerfile({ projectType: 'react', backend: 'express', typescript: true, strategy: {} })).toContain('EXPOSE 3001');
+  });
+
+  test('should probe Next.js apps on their /api/health route', async () => {
+    const { writer } = await generate({ type: 'react', backend: 'nextjs' });
+
+    expect(writer.readFile('pages/api/health.js')).toContain("res.status(200).json({ status: 'ok' });");
+    expect(writer.readFile('Dockerfile')).toContain('ENV HOSTNAME "0.0.0.0"');
+    expect(writer.readFile('Dockerfile')).toContain('CMD wget -qO /dev/null http://127.0.0.1:3000/api/health || exit 1');
+    expect(writer.readFile('Dockerfile.universal')).toContain('curl -f http://localhost:3000/api/health');
+
+    const fullStack = await generate({ type: 'full-stack', frontend: 'nextjs', backend: 'fastify', monorepo: 'npm' });
+    expect(fullStack.writer.readFile('frontend/pages/api/health.js')).toContain("status: 'ok'");
+    expect(fullStack.writer.readFile('backend/index.js')).toContain("app.get('/health', async () => ({ status: 'ok' }));");
+    expect(fullStack.writer.readFile('frontend/Dockerfile')).toContain('http://127.0.0.1:3000/api/health');
+    expect(fullStack.writer.readFile('backend/Dockerfile')).toContain('HEALTHCHECK');
+    expect(fullStack.compose.services.frontend.healthcheck.test[1]).toContain('/api/health');
+  });
+
+  test('should probe Python framework apps with curl', async () => {
+    const { writer, compose } = await generate({ type: 'full-stack', backend: 'fastapi' });
+
+    expect(writer.readFile('backend/app/main.py')).toContain('@app.get("/health")');
+    expect(writer.readFile('backend/Dockerfile')).toContain('CMD curl -fsS http://127.0.0.1:8000/health > /dev/null || exit 1');
+    expect(compose.services.backend.healthcheck.test).toEqual(['CMD-SHELL', 'curl -fsS http://127.0.0.1:8000/health > /dev/null || exit 1']);
+    expect(generateDockerfile({ projectType: 'python', framework: 'flask', strategy: {} })).toContain('http://127.0.0.1:5000/health');
+  });
+
+  test('should serve /health from plain Python scripts with http.server', async () => {
+    const script = { projectType: 'python', framework: 'none', strategy: {} };
+    const { writer } = await generate({ type: 'python' });
+
+    expect(writer.readFile('main.py')).toContain('from http.server import BaseHTTPRequestHandler, HTTPServer');
+    expect(writer.readFile('main.py')).toContain('if self.path != "/health":');
+    expect(writer.readFile('main.py')).toContain('port = int(os.environ.get("PORT", "8000"))');
+    expect(writer.readFile('tests/test_main.py')).toContain('def test_health():');
+    expect(generateDockerfile(script)).toContain('CMD curl -fsS http://127.0.0.1:8000/health > /dev/null || exit 1');
+    expect(generateDockerCompose(script).services.app.healthcheck.test[1]).toContain('http://127.0.0.1:8000/health');
+  });
+
+  test('should point the Kubernetes probes at the health endpoint the Dockerfile checks', () => {
+    const probes = config => yaml.parseAll(generateKubernetesManifests({ projectName: 'shop', ...config })['deployment.yaml'])
+      .map(({ spec }) => spec.template.spec.containers[0])
+      .map(({ readinessProbe, livenessProbe }) => [readinessProbe.httpGet || readinessProbe.tcpSocket, livenessProbe.httpGet || livenessProbe.tcpSocket]);
+
+    expect(probes({ projectType: 'react', backend: 'nextjs' })).toEqual([
+      [{ path: '/api/health', port: 3000 }, { path: '/api/health', port: 3000 }]
+    ]);
+    expect(probes({ projectType: 'python', framework: 'fastapi' })).toEqual([
+      [{ path: '/health', port: 8000 }, { path: '/health', port: 8000 }]
+    ]);
+    expect(probes({ projectType: 'custom' })).toEqual([[{ port: 3000 }, { port: 3000 }]]);
+  });
+
+  test('should leave apps that serve nothing without a health check', () => {
+    expect(generateDockerfile({ projectType: 'custom', strategy: {} })).not.toContain('HEALTHCHECK');
+    expect(generateDockerfile({ projectType: 'node', strategy: {} })).toContain('http://127.0.0.1:3000/health');
+  });
+});
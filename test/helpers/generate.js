@@ -0,0 +1,46 @@
+// Shared fixture for the tests that generate a whole project: each test runs
+// in its own temp directory, and generate() dry-runs `uds init --here` there.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('../../bin/lib/yaml');
+
+const { createDefaultConfig, setupProject } = require('../../bin/universal-setup.js');
+
+// Registers beforeEach/afterEach hooks that chdir into a fresh
+// <prefix>-XXXXXX temp directory and remove it afterwards
+function useTempDir(prefix) {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+}
+
+// { config, writer, sources, slug, compose } for a dry run with the given
+// createDefaultConfig options; compose is null when no docker-compose.yml
+// is generated
+async function generate(options) {
+  const config = createDefaultConfig({ ...options, here: true });
+  const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+  return {
+    config,
+    writer,
+    sources: writer.getFiles().map(file => file.path).filter(file => /\.(js|jsx|ts|tsx)$/.test(file)),
+    slug: config.projectName.toLowerCase(),
+    compose: writer.exists('docker-compose.yml') ? yaml.parse(writer.readFile('docker-compose.yml')) : null
+  };
+}
+
+module.exports = {
+  useTempDir,
+  generate
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+
+const yaml = require('../bin/lib/yaml');
+const {
+  readRegistry,
+  claimHostPorts,
+  isPortInUse,
+  assignHostPorts
+} = require('../bin/lib/host-ports');
+const { createDefaultConfig, setupProject, checkProjectPorts } = require('../bin/universal-setup.js');
+
+describe('Host Ports', () => {
+  let testDir;
+  let registryFile;
+  let originalCwd;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'host-ports-test-'));
+    registryFile = path.join(testDir, 'registry', 'ports.json');
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should move ports claimed by other projects or in use to the next free one', async () => {
+    const other = fs.mkdtempSync(path.join(testDir, 'other-'));
+    claimHostPorts(other, 'other', [3000, 3002, 5432], registryFile);
+    claimHostPorts(testDir, 'shop', [3001], registryFile);
+    const inUse = new Set([3001, 3003, 6379]);
+
+    const { hostPorts, changes } = await assignHostPorts([3000, 3001, 5432, 6379], {
+      root: testDir,
+      registryFile,
+      isInUse: async port => inUse.has(port)
+    });
+
+    // 3001 is this project's own claim, so it is assumed to be its own container
+    expect(hostPorts).toEqual({ 3000: 3004, 5432: 5433, 6379: 6380 });
+    expect(changes).toEqual([
+      { port: 3000, from: 3000, to: 3004, reason: 'claimed by other' },
+      { port: 5432, from: 5432, to: 5433, reason: 'claimed by other' },
+      { port: 6379, from: 6379, to: 6380, reason: 'in use' }
+    ]);
+  });
+
+  test('should keep saved host ports that are still free', async () => {
+    const { hostPorts, changes } = await assignHostPorts([3000, 3001], {
+      root: testDir,
+      current: { 3000: 4000 },
+      registryFile,
+      isInUse: async () => false
+    });
+
+    expect(hostPorts).toEqual({ 3000: 4000 });
+    expect(changes).toEqual([]);
+  });
+
+  test('should forget projects that no longer exist', () => {
+    const removed = path.join(testDir, 'removed');
+    fs.mkdirSync(removed);
+    claimHostPorts(removed, 'removed', [3000], registryFile);
+    fs.rmSync(removed, { recursive: true });
+    claimHostPorts(testDir, 'shop', [3001, 3000, 3001], registryFile);
+
+    expect(readRegistry(registryFile)).toEqual({ projects: { [testDir]: { name: 'shop', ports: [3000, 3001] } } });
+  });
+
+  test('should detect a port something listens on', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen({ port: 0, host: '0.0.0.0' }, resolve));
+    const { port } = server.address();
+
+    expect(await isPortInUse(port)).toBe(true);
+    await new Promise(resolve => server.close(resolve));
+    expect(await isPortInUse(port)).toBe(false);
+  });
+
+  test('a dry run should plan from the registry without probing ports', async () => {
+    const originalHome = process.env.HOME;
+    process.env.HOME = testDir;
+    const other = path.join(testDir, 'other');
+    fs.mkdirSync(other);
+    claimHostPorts(other, 'other', [3001]);
+    const createServer = jest.spyOn(net, 'createServer');
+
+    try {
+      const config = createDefaultConfig({ type: 'react', backend: 'express', here: true });
+      await setupProject(config, { dryRun: true, quiet: true, installTools: false, probePorts: true });
+
+      expect(createServer).not.toHaveBeenCalled();
+      expect(config.hostPorts).toEqual({ 3001: 3002 });
+      expect(readRegistry().projects).not.toHaveProperty(testDir);
+    } finally {
+      createServer.mockRestore();
+      process.env.HOME = originalHome;
+    }
+  });
+
+  test('should publish every service on its host port', async () => {
+    const config = createDefaultConfig({ type: 'react', backend: 'express', here: true });
+    config.hostPorts = { 3001: 3101, 5432: 5433 };
+
+    const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+    const compose = yaml.parse(writer.readFile('docker-compose.yml'));
+    const production = yaml.parse(writer.readFile('docker-compose.prod.yml'));
+    const devcontainer = JSON.parse(writer.readFile('devcontainer.universal.json'));
+
+    expect(compose.services.client.ports).toEqual(['5173:5173']);
+    expect(compose.services.server.ports).toEqual(['3101:3001']);
+    expect(compose.services.db.ports).toEqual(['5433:5432']);
+    expect(compose.services.client.environment).toContain('VITE_API_URL=http://localhost:3101');
+    expect(compose.services.server.environment).toContain('DATABASE_URL=postgresql://${POSTGRES_USER}:${POSTGRES_PASSWORD}@db:5432/myapp');
+    expect(production.services.server.ports).toEqual(['3001:3001']);
+
+    expect(devcontainer.runArgs).toEqual(['--init', '-p', '5173:5173', '-p', '3101:3001', '-p', '5433:5432']);
+    expect(devcontainer.forwardPorts).toEqual([5173, 3001, 5432]);
+    expect(JSON.parse(writer.readFile('.devcontainer/devcontainer.json')).runArgs).toEqual(['--init']);
+
+    expect(writer.readFile('.env.development')).toContain('VITE_API_URL=http://localhost:3101\n');
+    expect(writer.readFile('.env.development')).toMatch(/\nDATABASE_URL=postgresql:\/\/user:[0-9a-f]{64}@localhost:5433\/myapp\n/);
+    expect(JSON.parse(writer.readFile('uds.config.json')).hostPorts).toEqual({ 3001: 3101, 5432: 5433 });
+    expect(checkProjectPorts(writer)).toEqual([]);
+  });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const yaml = require('../bin/lib/yaml');
+const { validateSchema } = require('../bin/lib/schema');
+const {
+  createDefaultConfig,
+  setupProject,
+  generateKubernetesManifests,
+  generateKustomizeOverlay,
+  generateHelmChart,
+  getProjectPorts
+} = require('../bin/universal-setup.js');
+
+describe('Kubernetes Manifests', () => {
+  const config = { projectName: 'Shop App', projectType: 'react', backend: 'express' };
+  const parse = (manifests, file) => yaml.parseAll(manifests[file]);
+
+  test('should deploy every app service on its real port', () => {
+    const manifests = generateKubernetesManifests(config);
+    const deployments = parse(manifests, 'deployment.yaml');
+    const services = parse(manifests, 'service.yaml');
+
+    expect(Object.keys(manifests)).toEqual([
+      'configmap.yaml', 'secret.yaml', 'deployment.yaml', 'service.yaml', 'hpa.yaml', 'ingress.yaml'
+    ]);
+    expect(deployments.map(({ metadata }) => metadata.name)).toEqual(['shop-app-client', 'shop-app-server']);
+
+    const ports = deployments.map(({ spec }) => spec.template.spec.containers[0].ports[0].containerPort);
+    expect(ports).toEqual([5173, 3001]);
+    expect(getProjectPorts(config)).toEqual(expect.arrayContaining(ports));
+
+    const [server] = deployments.slice(1).map(({ spec }) => spec.template.spec.containers[0]);
+    expect(server.image).toBe('shop-app-server:1.0.0');
+    expect(server.env).toEqual([{ name: 'PORT', value: '3001' }]);
+    expect(server.readinessProbe.httpGet).toEqual({ path: '/health', port: 3001 });
+    expect(server.livenessProbe.httpGet).toEqual({ path: '/health', port: 3001 });
+    expect(server.resources).toEqual({
+      requests: { cpu: '100m', memory: '128Mi' },
+      limits: { cpu: '500m', memory: '512Mi' }
+    });
+    expect(services.map(({ spec }) => [spec.type, spec.ports[0].targetPort])).toEqual([['ClusterIP', 5173], ['ClusterIP', 3001]]);
+
+    const [ingress] = parse(manifests, 'ingress.yaml');
+    expect(ingress.spec.rules[0].http.paths.map(({ path: route, backend }) => [route, backend.service.name])).toEqual([
+      ['/', 'shop-app-client-service'],
+      ['/api', 'shop-app-server-service']
+    ]);
+  });
+
+  test('should keep secrets and service connections out of the ConfigMap', () => {
+    const manifests = generateKubernetesManifests(config);
+    const [configMap] = parse(manifests, 'configmap.yaml');
+    const [secret] = parse(manifests, 'secret.yaml');
+
+    expect(configMap.data).toEqual({ NODE_ENV: 'production', API_URL: 'REQUIRED', VITE_API_URL: 'REQUIRED' });
+    expect(secret.stringData).toEqual({ DATABASE_URL: 'REQUIRED', JWT_SECRET: 'REQUIRED' });
+    expect(manifests['secret.yaml']).toContain('kubectl create secret generic shop-app-secrets');
+  });
+
+  test('should take every setting from the kubernetes options', () => {
+    const manifests = generateKubernetesManifests({
+      projectName: 'api',
+      projectType: 'node',
+      kubernetes: {
+        namespace: 'shop',
+        registry: 'ghcr.io/acme/',
+        imageTag: '2.1.0',
+        replicas: 4,
+        serviceType: 'LoadBalancer',
+        resources: { limits: { memory: '1Gi' } },
+        probes: { path: '/health' },
+        autoscaling: { enabled: false },
+        ingress: { host: 'api.acme.dev', className: 'nginx', tls: true }
+      }
+    });
+    const [deployment] = parse(manifests, 'deployment.yaml');
+    const container = deployment.spec.template.spec.containers[0];
+    const [ingress] = parse(manifests, 'ingress.yaml');
+
+    expect(manifests['hpa.yaml']).toBeUndefined();
+    expect(deployment.metadata).toMatchObject({ name: 'api', namespace: 'shop' });
+    expect(deployment.spec.replicas).toBe(4);
+    expect(container.image).toBe('ghcr.io/acme/api:2.1.0');
+    expect(container.resources.limits).toEqual({ cpu: '500m', memory: '1Gi' });
+    expect(container.readinessProbe.httpGet).toEqual({ path: '/health', port: 3000 });
+    expect(parse(manifests, 'service.yaml')[0].spec.type).toBe('LoadBalancer');
+    expect(ingress.spec).toMatchObject({
+      ingressClassName: 'nginx',
+      tls: [{ hosts: ['api.acme.dev'], secretName: 'api-tls' }],
+      rules: [{ host: 'api.acme.dev' }]
+    });
+
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/uds.config.schema.json'), 'utf8'));
+    expect(validateSchema({ projectName: 'api', projectType: 'node', kubernetes: { replicas: 0, serviceType: 'Ingress' } }, schema))
+      .toEqual(['/kubernetes/replicas: must be >= 1', expect.stringContaining('/kubernetes/serviceType: must be one of')]);
+  });
+
+  test('overlays should patch replicas, image tags and the ConfigMap per environment', () => {
+    const options = {
+      ...config,
+      strategy: { environmentConfigs: ['development', 'staging', 'production'] },
+      kubernetes: { registry: 'ghcr.io/acme', environments: { staging: { imageTag: 'rc', namespace: 'shop-staging' } } }
+    };
+    const staging = generateKustomizeOverlay(options, 'staging', { NODE_ENV: 'staging', API_URL: 'https://staging.shop.dev' });
+    const production = generateKustomizeOverlay(options, 'production');
+    const [kustomization] = yaml.parseAll(staging['kustomization.yaml']);
+
+    expect(kustomization).toEqual({
+      apiVersion: 'kustomize.config.k8s.io/v1beta1',
+      kind: 'Kustomization',
+      resources: ['../../base'],
+      namespace: 'shop-staging',
+      images: [
+        { name: 'ghcr.io/acme/shop-app-client', newTag: 'rc' },
+        { name: 'ghcr.io/acme/shop-app-server', newTag: 'rc' }
+      ],
+      replicas: [{ name: 'shop-app-client', count: 1 }, { name: 'shop-app-server', count: 1 }],
+      patches: [{ path: 'configmap.yaml' }, { path: 'hpa.yaml' }]
+    });
+    expect(yaml.parseAll(staging['configmap.yaml'])[0].data).toEqual({ NODE_ENV: 'staging', API_URL: 'https://staging.shop.dev' });
+    expect(yaml.parseAll(staging['hpa.yaml']).map(({ spec }) => spec.minReplicas)).toEqual([1, 1]);
+    expect(yaml.parseAll(production['kustomization.yaml'])[0].replicas[0].count).toBe(2);
+    expect(yaml.parseAll(production['kustomization.yaml'])[0].images[0].newTag).toBe('1.0.0');
+  });
+
+  test('helm charts should carry the model in values.yaml and a values file per environment', () => {
+    const chart = generateHelmChart({
+      ...config,
+      strategy: { environmentConfigs: ['development', 'staging', 'production'] },
+      kubernetes: { format: 'helm', probes: { path: '/health' }, environments: { staging: { imageTag: 'rc' } } }
+    });
+    const values = yaml.parse(chart['values.yaml']);
+
+    expect(Object.keys(chart)).toEqual(expect.arrayContaining([
+      'Chart.yaml',
+      'values-development.yaml',
+      'values-staging.yaml',
+      'values-production.yaml',
+      'templates/deployment.yaml',
+      'templates/service.yaml',
+      'templates/ingress.yaml'
+    ]));
+    expect(yaml.parse(chart['Chart.yaml'])).toMatchObject({ apiVersion: 'v2', name: 'shop-app', appVersion: '1.0.0' });
+    expect(values.services).toEqual([
+      { name: 'shop-app-client', component: 'client', image: 'shop-app-client', port: 5173, path: '/', health: '/health' },
+      { name: 'shop-app-server', component: 'server', image: 'shop-app-server', port: 3001, path: '/api', health: '/health' }
+    ]);
+    expect(values.probes.path).toBe('/health');
+    expect(values.secretName).toBe('shop-app-secrets');
+    expect(yaml.parse(chart['values-staging.yaml'])).toMatchObject({
+      replicaCount: 1,
+      image: { tag: 'rc' },
+      config: { NODE_ENV: 'staging' }
+    });
+    expect(chart['templates/deployment.yaml']).toContain('containerPort: {{ .port }}');
+  });
+
+  describe('setupProject', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kubernetes-test-'));
+      originalCwd = process.cwd();
+      process.chdir(testDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should build the ConfigMap from the existing .env.production', async () => {
+      fs.writeFileSync('.env.production', 'NODE_ENV=production\nAPI_URL=https://shop.example.com\nJWT_SECRET=s3cret-value-for-prod\nLOG_LEVEL=warn\n');
+
+      const writer = await setupProject(createDefaultConfig({ type: 'react', backend: 'express', here: true }), {
+        dryRun: true,
+        quiet: true,
+        installTools: false
+      });
+      const [configMap] = yaml.parseAll(writer.readFile('k8s/base/configmap.yaml'));
+      const [secret] = yaml.parseAll(writer.readFile('k8s/base/secret.yaml'));
+
+      expect(configMap.data).toMatchObject({ API_URL: 'https://shop.example.com', LOG_LEVEL: 'warn' });
+      expect(configMap.data).not.toHaveProperty('JWT_SECRET');
+      expect(secret.stringData).toEqual({ DATABASE_URL: 'REQUIRED', JWT_SECRET: 'REQUIRED' });
+    });
+
+    test('should write a kustomize base and an overlay per deployed environment', async () => {
+      const writer = await setupProject(createDefaultConfig({ type: 'react', backend: 'express', here: true }), {
+        dryRun: true,
+        quiet: true,
+        installTools: false
+      });
+      const files = writer.getFiles().map(file => file.path).filter(file => file.startsWith('k8s/'));
+
+      expect(files).toEqual(expect.arrayContaining([
+        'k8s/base/kustomization.yaml',
+        'k8s/overlays/staging/kustomization.yaml',
+        'k8s/overlays/production/kustomization.yaml'
+      ]));
+      expect(files).not.toContain('k8s/deployment.yaml');
+      expect(yaml.parse(writer.readFile('k8s/base/kustomization.yaml')).resources).not.toContain('secret.yaml');
+      expect(writer.readFile('README.md')).toContain('kubectl apply -k k8s/overlays/production');
+    });
+
+    test('should write the env file a production overlay reads when only development is configured', async () => {
+      const config = createDefaultConfig({ type: 'python', here: true });
+      const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+
+      expect(config.strategy.environmentConfigs).toEqual(['development']);
+      expect(writer.exists('k8s/overlays/production/kustomization.yaml')).toBe(true);
+      expect(writer.readFile('.env.production')).toMatch(/^SECRET_KEY=REQUIRED$/m);
+      expect(JSON.parse(writer.readFile('.env.schema.json')).environments).toEqual(['development', 'production']);
+    });
+
+    test('the helm format should write chart/ instead of k8s/', async () => {
+      const config = createDefaultConfig({ type: 'python', here: true });
+      config.kubernetes = { format: 'helm' };
+
+      const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+      const files = writer.getFiles().map(file => file.path);
+
+      expect(files).toContain('chart/values-development.yaml');
+      expect(files.filter(file => file.startsWith('k8s/'))).toEqual([]);
+      expect(JSON.parse(writer.readFile('uds.config.json')).kubernetes).toEqual({ format: 'helm' });
+      expect(writer.readFile('README.md')).toContain('helm upgrade --install');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { getWorkspacePackages } = require('../bin/lib/workspaces');
+const { createDefaultConfig, serializeProjectConfig, resolveProjectConfig } = require('../bin/universal-setup.js');
+const { useTempDir, generate } = require('./helpers/generate');
+
+describe('Monorepo Projects', () => {
+  useTempDir('monorepo-test');
+
+  test('should turn client/ and server/ into npm workspaces with a root task runner', async () => {
+    const { writer, slug, compose } = await generate({ type: 'react', backend: 'express', monorepo: true });
+    const manifest = JSON.parse(writer.readFile('package.json'));
+
+    expect(manifest.workspaces).toEqual(['client', 'server']);
+    expect(manifest.scripts).toMatchObject({
+      dev: 'concurrently "npm:dev:*"',
+      'dev:client': `npm run dev -w ${slug}-client`,
+      'dev:server': `npm run dev -w ${slug}-server`,
+      build: 'npm run build --workspaces --if-present'
+    });
+    expect(manifest.scripts).not.toHaveProperty('install-deps');
+    expect(JSON.parse(writer.readFile('client/package.json')).name).toBe(`${slug}-client`);
+    expect(writer.exists('Dockerfile')).toBe(false);
+    expect(writer.readFile('server/Dockerfile')).toContain('COPY server/package.json server/');
+    expect(writer.readFile('.dockerignore')).toContain('**/node_modules');
+    expect(compose.services.client.build).toMatchObject({ context: '.', dockerfile: 'client/Dockerfile' });
+    expect(compose.services.server.volumes).toContain('/app/server/node_modules');
+  });
+
+  test('should write the pnpm workspace and pin pnpm through corepack', async () => {
+    const { writer } = await generate({ type: 'full-stack', monorepo: 'pnpm', typescript: true, aiContext: true });
+    const manifest = JSON.parse(writer.readFile('package.json'));
+
+    expect(manifest.packageManager).toMatch(/^pnpm@/);
+    expect(manifest).not.toHaveProperty('workspaces');
+    expect(manifest.scripts.typecheck).toBe('pnpm -r --if-present run typecheck');
+    expect(writer.readFile('pnpm-workspace.yaml')).toBe('packages:\n  - frontend\n  - backend\n');
+    expect(writer.readFile('backend/Dockerfile')).toContain('RUN corepack enable');
+    expect(writer.readFile('backend/Dockerfile')).toContain('RUN pnpm install --frozen-lockfile --prod');
+    expect(writer.readFile('.ai/context.md')).toContain('`pnpm run dev:frontend`');
+  });
+
+  test('should put a FastAPI backend in a uv workspace next to the JavaScript packages', async () => {
+    const { config, writer, slug, compose } = await generate({ type: 'full-stack', backend: 'fastapi', monorepo: 'yarn' });
+    const manifest = JSON.parse(writer.readFile('package.json'));
+
+    expect(getWorkspacePackages(config).map(pkg => pkg.language)).toEqual(['javascript', 'python']);
+    expect(manifest.workspaces).toEqual(['frontend']);
+    expect(manifest.scripts['dev:backend']).toMatch(/^cd backend && uv run uvicorn /);
+    expect(manifest.scripts.test).toContain('cd backend && uv run pytest');
+    expect(writer.readFile('pyproject.toml')).toContain('members = ["backend"]');
+    expect(writer.readFile('backend/pyproject.toml')).toContain(`name = "${slug}-backend"`);
+    expect(writer.exists('backend/requirements.txt')).toBe(false);
+    expect(writer.readFile('.yarnrc.yml')).toBe('nodeLinker: node-modules\n');
+    expect(compose.services.backend.build.context).toBe('./backend');
+    expect(compose.services.frontend.build.context).toBe('.');
+  });
+
+  test('should save the workspace manager in uds.config.json', async () => {
+    const { config } = await generate({ type: 'react', backend: 'express', monorepo: 'yarn' });
+
+    expect(serializeProjectConfig(config).monorepo).toBe('yarn');
+    expect(resolveProjectConfig(serializeProjectConfig(config)).monorepo).toBe('yarn');
+    expect(serializeProjectConfig(createDefaultConfig({ type: 'react' }))).not.toHaveProperty('monorepo');
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { collectPorts, checkPortConsistency } = require('../bin/lib/port-check');
+const { createDefaultConfig, setupProject, checkProjectPorts } = require('../bin/universal-setup.js');
+
+describe('Port Consistency', () => {
+  const deployment = (component, port) => [
+    'apiVersion: apps/v1',
+    'kind: Deployment',
+    'metadata:',
+    `  name: shop-${component}`,
+    'spec:',
+    '  template:',
+    '    metadata:',
+    '      labels:',
+    `        component: ${component}`,
+    '    spec:',
+    '      containers:',
+    `        - name: ${component}`,
+    '          ports:',
+    `            - containerPort: ${port}`,
+    '          env:',
+    '            - name: PORT',
+    `              value: '${port}'`
+  ].join('\n');
+
+  const compose = [
+    'services:',
+    '  client:',
+    '    build: ./client',
+    '    ports:',
+    "      - '3000:3000'",
+    '  server:',
+    '    build:',
+    '      context: ./server',
+    '    ports:',
+    "      - '3001:3001'",
+    '  db:',
+    '    image: postgres:15-alpine',
+    '    ports:',
+    "      - '5432:5432'",
+    ''
+  ].join('\n');
+
+  test('should map every app service port to the files and lines that name it', () => {
+    const { services } = collectPorts({
+      'docker-compose.yml': compose,
+      'server/Dockerfile': 'FROM node:18-alpine\nEXPOSE 3001\nCMD ["npm", "start"]\n',
+      'k8s/base/deployment.yaml': `${deployment('client', 3000)}\n---\n${deployment('server', 3001)}\n`
+    });
+
+    expect(Object.keys(services)).toEqual(['client', 'server']);
+    expect(services.server).toEqual([
+      { port: 3001, file: 'docker-compose.yml', line: 10, label: 'ports 3001:3001' },
+      { port: 3001, file: 'k8s/base/deployment.yaml', line: 32, label: 'containerPort: 3001' },
+      { port: 3001, file: 'k8s/base/deployment.yaml', line: 35, label: 'PORT=3001' },
+      { port: 3001, file: 'server/Dockerfile', line: 2, label: 'EXPOSE 3001' }
+    ]);
+  });
+
+  test('should give a root Dockerfile compose does not build to the service publishing its port', () => {
+    const files = {
+      'docker-compose.yml': compose,
+      '.devcontainer/devcontainer.json': JSON.stringify({ service: 'client', forwardPorts: [3000, 3001] }),
+      'Dockerfile': 'FROM node:18-alpine\nEXPOSE 3001\nCMD ["npm", "start"]\n'
+    };
+
+    expect(collectPorts(files).services.server).toContainEqual({ port: 3001, file: 'Dockerfile', line: 2, label: 'EXPOSE 3001' });
+    expect(checkPortConsistency(files)).toEqual([]);
+    expect(checkPortConsistency({ ...files, 'Dockerfile': 'FROM node:18-alpine\nEXPOSE 4000\n' })).toEqual([
+      { file: 'Dockerfile', line: 2, message: 'EXPOSE 4000, but "client" runs on 3000 in docker-compose.yml:5' }
+    ]);
+  });
+
+  test('should report the files that disagree, with file and line', () => {
+    const issues = checkPortConsistency({
+      'Dockerfile': 'FROM python:3.11-slim\nUSER app\nEXPOSE 8000\n',
+      'k8s/base/deployment.yaml': deployment('app', 3000),
+      'k8s/base/service.yaml': 'apiVersion: v1\nkind: Service\nmetadata:\n  name: app-service\nspec:\n  selector:\n    component: app\n  ports:\n    - port: 80\n      targetPort: 3000\n',
+      'k8s/base/ingress.yaml': [
+        'apiVersion: networking.k8s.io/v1',
+        'kind: Ingress',
+        'metadata:',
+        '  name: app',
+        'spec:',
+        '  rules:',
+        '    - http:',
+        '        paths:',
+        '          - path: /',
+        '            backend:',
+        '              service:',
+        '                name: app-service',
+        '                port:',
+        '                  number: 8080'
+      ].join('\n'),
+      '.devcontainer/devcontainer.json': JSON.stringify({ name: 'app', forwardPorts: [8000] }, null, 2)
+    });
+
+    expect(issues).toEqual([
+      { file: '.devcontainer/devcontainer.json', line: 3, message: 'forwardPorts is missing 3000 ("app")' },
+      { file: 'Dockerfile', line: 3, message: 'EXPOSE 8000, but "app" runs on 3000 in k8s/base/deployment.yaml:14, k8s/base/deployment.yaml:17, k8s/base/service.yaml:10' },
+      { file: 'k8s/base/ingress.yaml', line: 14, message: 'routes to port 8080 of Service app-service, which listens on 80' }
+    ]);
+  });
+
+  describe('setupProject', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-check-test-'));
+      originalCwd = process.cwd();
+      process.chdir(testDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test.each([
+      [{ type: 'full-stack' }],
+      [{ type: 'react', backend: 'express', with: ['redis'] }],
+      [{ type: 'react', backend: 'nextjs' }],
+      [{ type: 'python', ml: true }]
+    ])('should generate files that agree on every port (%o)', async (answers) => {
+      const writer = await setupProject(createDefaultConfig({ ...answers, here: true }), {
+        dryRun: true,
+        quiet: true,
+        installTools: false
+      });
+
+      expect(checkProjectPorts(writer)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { PROFILES, listProjectTypes, listBackends, listBundlers, getProfile } = require('../bin/lib/profiles');
+const { DEFAULT_AGENT_ROLES, generateAgentInstructions } = require('../bin/ai-agent-setup.js');
+const {
+  createDefaultConfig,
+  setupProject,
+  selectConfigurationStrategy,
+  getProjectPorts,
+  generatePackageJson,
+  generateDockerfile,
+  generateDockerCompose,
+  generateDevcontainerConfig
+} = require('../bin/universal-setup.js');
+
+describe('Project Profiles', () => {
+  test('should resolve backends and the ML variant over the project type', () => {
+    expect(listProjectTypes().map(({ id }) => id)).toEqual(['react', 'node', 'python', 'full-stack', 'custom']);
+    expect(listBackends('react').map(({ id }) => id)).toEqual(['none', 'express', 'nextjs', 'firebase', 'serverless']);
+    expect(listBackends('python')).toEqual([]);
+
+    const express = getProfile({ projectType: 'react', backend: 'express' });
+    expect(express.name).toBe('React Frontend');
+    expect(express.strategy.containerStrategy).toBe('docker-compose');
+    expect(express.extensions).toEqual(PROFILES.react.extensions);
+    expect(getProfile({ projectType: 'react', backend: 'serverless' }).services[0].ports).toEqual([{ port: 5173, label: 'React App' }]);
+    expect(getProfile({ projectType: 'python', includeMl: true }).dockerfile.packages).toContain('jupyter');
+    expect(getProfile({ projectType: 'python' }).dockerfile.packages).toBeUndefined();
+    expect(getProfile({ projectType: 'my-template' }).projectType).toBe('custom');
+  });
+
+  test('should drive the generated strategy, ports, package.json, Dockerfile and devcontainer', () => {
+    const config = createDefaultConfig({ type: 'react', backend: 'nextjs', here: true });
+    config.strategy = selectConfigurationStrategy(config);
+
+    expect(config.strategy).toMatchObject({ containerStrategy: 'docker', deploymentStrategy: 'hybrid', installLocation: 'container' });
+    expect(getProjectPorts(config)).toEqual([3000]);
+    expect(generatePackageJson(config).scripts).toEqual(PROFILES.react.backends.nextjs.packageJson.scripts);
+    expect(generateDockerfile(config)).toContain('FROM base AS runner');
+
+    const python = createDefaultConfig({ type: 'python', ml: true, here: true });
+    python.strategy = selectConfigurationStrategy(python);
+    const devcontainer = generateDevcontainerConfig(python);
+
+    expect(generateDockerfile(python)).toContain('EXPOSE 8000');
+    expect(devcontainer.features).toHaveProperty(['ghcr.io/devcontainers/features/python:1']);
+    expect(devcontainer.customizations.vscode.extensions).toEqual(expect.arrayContaining(['ms-toolsai.jupyter']));
+  });
+
+  test('should build React apps with Vite by default and CRA on request', async () => {
+    expect(listBundlers('react').map(({ id }) => id)).toEqual(['vite', 'cra']);
+    expect(getProfile({ projectType: 'react', backend: 'nextjs' }).bundler).toBeNull();
+    expect(getProfile({ projectType: 'react', backend: 'express', bundler: 'cra' }).services[0]).toMatchObject({
+      ports: [{ port: 3000, label: 'React Client' }],
+      apiUrl: 'REACT_APP_API_URL'
+    });
+
+    const vite = createDefaultConfig({ type: 'react', here: true });
+    vite.strategy = selectConfigurationStrategy(vite);
+    expect(getProjectPorts(vite)).toEqual([5173]);
+    expect(generatePackageJson(vite)).toMatchObject({ type: 'module', scripts: { dev: 'vite', build: 'vite build' } });
+    expect(generatePackageJson(vite).dependencies).not.toHaveProperty('react-scripts');
+
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    const originalCwd = process.cwd();
+    process.chdir(testDir);
+
+    try {
+      const express = createDefaultConfig({ type: 'react', backend: 'express', here: true });
+      const writer = await setupProject(express, { dryRun: true, quiet: true, installTools: false });
+
+      expect(writer.readFile('client/index.html')).toContain('<script type="module" src="/src/main.jsx"></script>');
+      expect(writer.readFile('client/vite.config.js')).toContain("'/api': 'http://localhost:3001'");
+      expect(JSON.parse(writer.readFile('client/package.json'))).not.toHaveProperty('proxy');
+      expect(writer.readFile('client/Dockerfile')).toMatch(/AS build[\s\S]*EXPOSE 5173\n\n# Probe the app's health endpoint\nHEALTHCHECK [^\n]+\n {4}CMD wget -qO \/dev\/null http:\/\/127\.0\.0\.1:5173\/health \|\| exit 1\n\nCMD \["npm", "run", "preview"\]/);
+      expect(writer.readFile('server/index.js')).toContain("'../client/dist'");
+
+      const cra = createDefaultConfig({ type: 'react', backend: 'express', bundler: 'cra', here: true });
+      const craWriter = await setupProject(cra, { dryRun: true, quiet: true, installTools: false });
+
+      expect(craWriter.readFile('client/public/index.html')).not.toContain('<script');
+      expect(JSON.parse(craWriter.readFile('client/package.json'))).toMatchObject({
+        proxy: 'http://localhost:3001',
+        dependencies: { 'react-scripts': '5.0.1' }
+      });
+      expect(craWriter.readFile('.env.development')).toContain('REACT_APP_API_URL=');
+    } finally {
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should run Vite dev servers from the build stage in docker-compose', () => {
+    const devServer = { build: { target: 'build' }, command: ['npm', 'run', 'dev'] };
+
+    // `vite preview` serves dist/, which the bind-mounted source hides
+    expect(generateDockerCompose({ projectName: 'app', projectType: 'react', addons: ['redis'] }).services.app).toMatchObject(devServer);
+    expect(generateDockerCompose({ projectName: 'app', projectType: 'react', backend: 'express' }).services.client).toMatchObject(devServer);
+    expect(generateDockerCompose({ projectName: 'app', projectType: 'react', backend: 'express', monorepo: 'npm' }).services.client)
+      .toMatchObject({ build: { context: '.', dockerfile: 'client/Dockerfile', target: 'build' }, command: ['npm', 'run', 'dev'] });
+    expect(generateDockerCompose({ projectName: 'app', projectType: 'react', addons: ['redis'] }, 'production').services.app.build.target).toBe('production');
+    expect(generateDockerCompose({ projectName: 'app', projectType: 'react', bundler: 'cra', addons: ['redis'] }).services.app.command).toBeUndefined();
+  });
+
+  test('should describe init project types the same way in the AI agent onboarding', async () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    const originalCwd = process.cwd();
+    process.chdir(testDir);
+
+    try {
+      await generateAgentInstructions({
+        project: { name: 'shop', type: 'node' },
+        roles: { 'senior-software-engineer': { ...DEFAULT_AGENT_ROLES['senior-software-engineer'], enabled: true } },
+        autoTracking: false,
+        generatedAt: new Date().toISOString(),
+        version: '1.0.0'
+      });
+      const onboarding = fs.readFileSync('AI_AGENT_ONBOARDING.md', 'utf8');
+
+      expect(onboarding).toContain('**Primary Language**: JavaScript/TypeScript');
+      expect(onboarding).toContain('**Container Strategy**: DevContainer');
+      expect(onboarding).toContain('**Key Directories**: src/, routes/, tests/');
+    } finally {
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should build the VS Code extension against bin/lib/profiles.json', () => {
+    const extensionDir = path.join(__dirname, '..', 'vscode-extension');
+    const { scripts } = JSON.parse(fs.readFileSync(path.join(extensionDir, 'package.json'), 'utf8'));
+
+    // The extension's copy is generated on every compile, never committed
+    expect(scripts['sync-profiles']).toContain("copyFileSync('../bin/lib/profiles.json', 'src/profiles.json')");
+    expect(scripts.compile).toMatch(/^npm run sync-profiles && /);
+    expect(scripts.watch).toMatch(/^npm run sync-profiles && /);
+    expect(fs.readFileSync(path.join(extensionDir, '.gitignore'), 'utf8').split('\n')).toContain('src/profiles.json');
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { validateSchema } = require('../bin/lib/schema');
+const {
+  loadProjectConfig,
+  resolveProjectConfig,
+  serializeProjectConfig,
+  selectConfigurationStrategy
+} = require('../bin/universal-setup.js');
+
+const schema = require('../schemas/uds.config.schema.json');
+
+describe('Project Config File', () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uds-config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(content) {
+    const file = path.join(testDir, 'uds.config.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  }
+
+  test('should load a valid config with every prompt answer', () => {
+    const file = writeConfig({
+      projectName: 'ci-app',
+      projectType: 'react',
+      backend: 'express',
+      features: ['ai-cli', 'playwright'],
+      baseImage: 'alpine',
+      includeMl: false,
+      aiContext: true,
+      strategyOverrides: { configFormat: 'yaml' }
+    });
+
+    const config = resolveProjectConfig(loadProjectConfig(file));
+
+    expect(config).toMatchObject({
+      projectName: 'ci-app',
+      projectType: 'react',
+      backend: 'express',
+      features: ['ai-cli', 'playwright'],
+      baseImage: 'alpine',
+      aiContext: true
+    });
+  });
+
+  test('should reject configs that do not match the schema', () => {
+    const file = writeConfig({
+      projectName: 'bad',
+      projectType: 'react',
+      baseImage: 'ubuntu',
+      feature: ['ai-cli']
+    });
+
+    expect(() => loadProjectConfig(file)).toThrow(/\/baseImage: must be one of "alpine", "debian"/);
+    expect(() => loadProjectConfig(file)).toThrow(/unknown property "feature"/);
+  });
+
+  test('should report invalid JSON and missing files', () => {
+    expect(() => loadProjectConfig(writeConfig('{ nope'))).toThrow('Invalid JSON');
+    expect(() => loadProjectConfig(path.join(testDir, 'missing.json'))).toThrow('Config file not found');
+  });
+
+  test('explicit CLI flags should override config file values', () => {
+    const config = resolveProjectConfig(
+      { projectName: 'from-file', projectType: 'node' },
+      { name: 'from-cli', here: true }
+    );
+
+    expect(config.projectName).toBe('from-cli');
+    expect(config.projectType).toBe('node');
+    expect(config.here).toBe(true);
+  });
+
+  test('React configs without a bundler should build with Vite unless they opt into CRA', () => {
+    const legacy = resolveProjectConfig({ projectName: 'old-app', projectType: 'react' });
+    const cra = resolveProjectConfig({ projectName: 'old-app', projectType: 'react', bundler: 'cra' });
+    const flagged = resolveProjectConfig({ projectName: 'old-app', projectType: 'react' }, { bundler: 'cra' });
+
+    expect(legacy.bundler).toBe('vite');
+    expect(serializeProjectConfig(legacy).bundler).toBe('vite');
+    expect(cra.bundler).toBe('cra');
+    expect(flagged.bundler).toBe('cra');
+    expect(serializeProjectConfig({ projectName: 'api', projectType: 'node' })).not.toHaveProperty('bundler');
+  });
+
+  test('strategy overrides should win over the selected strategy', () => {
+    const strategy = selectConfigurationStrategy({
+      projectType: 'python',
+      projectName: 'py',
+      strategyOverrides: { configFormat: 'json', environmentConfigs: ['development', 'production'] }
+    });
+
+    expect(strategy.containerStrategy).toBe('docker');
+    expect(strategy.configFormat).toBe('json');
+    expect(strategy.environmentConfigs).toEqual(['development', 'production']);
+  });
+
+  test('serialized config should validate and round-trip', () => {
+    const config = resolveProjectConfig({
+      projectName: 'round-trip',
+      projectType: 'python',
+      includeMl: true,
+      strategyOverrides: { installLocation: 'host' }
+    });
+    config.strategy = selectConfigurationStrategy(config);
+
+    const serialized = serializeProjectConfig(config);
+
+    expect(serialized.$schema).toContain('schemas/uds.config.schema.json');
+    expect(serialized).not.toHaveProperty('strategy');
+    expect(validateSchema(serialized, schema)).toEqual([]);
+
+    const reloaded = resolveProjectConfig(loadProjectConfig(writeConfig(serialized)));
+    expect(serializeProjectConfig(reloaded)).toEqual(serialized);
+  });
+
+  describe('validateSchema', () => {
+    test('should resolve local $ref and check anyOf', () => {
+      const testSchema = {
+        definitions: { port: { type: 'integer', minimum: 1, maximum: 65535 } },
+        type: 'object',
+        properties: {
+          port: { $ref: '#/definitions/port' },
+          value: { anyOf: [{ type: 'string' }, { type: 'boolean' }] }
+        }
+      };
+
+      expect(validateSchema({ port: 8080, value: true }, testSchema)).toEqual([]);
+      expect(validateSchema({ port: 70000 }, testSchema)).toEqual(['/port: must be <= 65535']);
+      expect(validateSchema({ value: 1 }, testSchema)).toEqual(['/value: does not match any allowed schema']);
+    });
+  });
+});
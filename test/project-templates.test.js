@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  listTemplates,
+  loadTemplate,
+  getTemplateVariables,
+  renderString,
+  renderTemplateFiles
+} = require('../bin/lib/templates');
+const { createDefaultConfig, applyProjectTemplate } = require('../bin/universal-setup.js');
+
+describe('Project Templates', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-test-'));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should discover the built-in versioned templates', () => {
+    const templates = listTemplates();
+    const names = templates.map(t => t.name);
+
+    expect(names).toEqual(expect.arrayContaining(['react', 'node', 'python', 'full-stack']));
+    templates.forEach(template => {
+      expect(template.version).toMatch(/^\d+\.\d+\.\d+$/);
+      expect(template.description).toBeTruthy();
+    });
+  });
+
+  test('should return null for unknown templates', () => {
+    expect(loadTemplate('does-not-exist')).toBeNull();
+  });
+
+  test('should substitute project name, ports and backend', () => {
+    const config = { projectName: 'My App', projectType: 'react', backend: 'express' };
+    const variables = getTemplateVariables(config, [3000, 3001, 5432]);
+
+    expect(variables.projectSlug).toBe('my-app');
+    expect(variables.port).toBe('3000');
+    expect(renderString('{{projectName}} on {{ports}} ({{backend}})', variables))
+      .toBe('My App on 3000, 3001, 5432 (express)');
+    expect(renderString('{{ .Values.unknown }}', variables)).toBe('{{ .Values.unknown }}');
+  });
+
+  test('should rename underscore-prefixed template files to dotfiles', () => {
+    const template = loadTemplate('python');
+    const files = renderTemplateFiles(template, getTemplateVariables(
+      { projectName: 'py-app', projectType: 'python' }, [8000, 5000]
+    ));
+    const paths = files.map(f => f.path);
+
+    expect(paths).toEqual(expect.arrayContaining(['.gitignore', '.editorconfig', '.env']));
+    expect(files.find(f => f.path === '.env').content).toContain('PORT=8000');
+    expect(files.find(f => f.path === '.gitignore').content).toContain('# py-app');
+  });
+
+  test('should write template files without overwriting existing ones', async () => {
+    fs.writeFileSync('.gitignore', 'custom\n');
+    const config = createDefaultConfig({ type: 'node', name: 'node-app' });
+
+    const written = await applyProjectTemplate(config);
+
+    expect(written).toContain('.env');
+    expect(written).not.toContain('.gitignore');
+    expect(fs.readFileSync('.gitignore', 'utf8')).toBe('custom\n');
+    expect(fs.readFileSync('.env', 'utf8')).toContain('PORT=3000');
+    expect(config.templateVersion).toBe(loadTemplate('node').version);
+  });
+
+  test('createDefaultConfig should match the init --skip-prompts defaults', () => {
+    const config = createDefaultConfig({ type: 'python', name: 'ml-app', ml: true });
+
+    expect(config).toMatchObject({
+      projectName: 'ml-app',
+      projectType: 'python',
+      features: ['ai-cli', 'gcloud', 'github-cli', 'vscode-extensions'],
+      baseImage: 'debian',
+      includeMl: true,
+      backend: 'none',
+      aiContext: false
+    });
+  });
+});
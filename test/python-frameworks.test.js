@@ -0,0 +1,63 @@
+const { getProfile } = require('../bin/lib/profiles');
+const { generateDockerfile, getProjectPorts, serializeProjectConfig } = require('../bin/universal-setup.js');
+const { useTempDir, generate } = require('./helpers/generate');
+
+describe('Python Frameworks', () => {
+  useTempDir('python-frameworks-test');
+
+  const generatePython = options => generate({ type: 'python', ...options });
+
+  test('should keep a plain script with requirements.txt by default', async () => {
+    const { config, writer } = await generatePython({});
+
+    expect(writer.readFile('main.py')).toContain('def main():');
+    expect(writer.readFile('tests/test_main.py')).toContain('from main import HealthHandler, main');
+    expect(writer.readFile('requirements.txt')).toMatch(/^# Core packages\nrequests>=2\.31\.0\npython-dotenv>=1\.0\.0\n/);
+    expect(writer.exists('pyproject.toml')).toBe(false);
+    expect(generateDockerfile(config)).toContain('CMD ["python", "main.py"]');
+    expect(serializeProjectConfig(config)).toMatchObject({ framework: 'none', packageManager: 'pip' });
+  });
+
+  test('should serve FastAPI with uvicorn on 8000 and test its health endpoint', async () => {
+    const { config, writer } = await generatePython({ framework: 'fastapi' });
+    const dockerfile = generateDockerfile(config);
+
+    expect(writer.exists('main.py')).toBe(false);
+    expect(writer.readFile('app/main.py')).toContain('@app.get("/health")');
+    expect(writer.readFile('tests/test_app.py')).toContain('TestClient');
+    expect(writer.readFile('requirements.txt')).toContain('fastapi>=');
+    expect(writer.readFile('requirements.txt')).toContain('httpx>=');
+    expect(getProjectPorts(config)).toEqual([8000]);
+    expect(dockerfile).toContain('EXPOSE 8000');
+    expect(dockerfile).toContain('CMD ["uvicorn", "app.main:app", "--host", "0.0.0.0", "--port", "8000"]');
+  });
+
+  test('should move Flask to port 5000 everywhere and install with Poetry', async () => {
+    const { config, writer } = await generatePython({ framework: 'flask', packageManager: 'poetry' });
+    const pyproject = writer.readFile('pyproject.toml');
+    const dockerfile = generateDockerfile(config);
+
+    expect(getProfile(config).services[0].ports).toEqual([{ port: 5000, label: 'Flask Server' }]);
+    expect(writer.readFile('app/__init__.py')).toContain('def create_app():');
+    expect(writer.exists('requirements.txt')).toBe(false);
+    expect(pyproject).toContain('"flask>=3.0.0",');
+    expect(pyproject).toContain('[tool.poetry.group.dev.dependencies]\npytest = ">=7.0.0"');
+    expect(dockerfile).toContain('poetry install --only main --no-root');
+    expect(dockerfile).toContain('CMD ["gunicorn", "--bind", "0.0.0.0:5000", "app:create_app()"]');
+    expect(writer.readFile('DOCKER.md')).toContain('docker run -p 5000:5000');
+  });
+
+  test('should scaffold Django with pytest-django and a uv dependency group', async () => {
+    const { config, writer } = await generatePython({ framework: 'django', packageManager: 'uv', ml: true });
+    const pyproject = writer.readFile('pyproject.toml');
+
+    expect(writer.readFile('config/urls.py')).toContain('path("health", health)');
+    expect(writer.readFile('pytest.ini')).toContain('DJANGO_SETTINGS_MODULE = config.settings');
+    expect(pyproject).toContain('"django>=5.0",');
+    expect(pyproject).toContain('"numpy>=1.24.0",');
+    expect(pyproject).toMatch(/\[dependency-groups\]\ndev = \[[^\]]*"pytest-django>=4\.8\.0",/);
+    expect(generateDockerfile(config)).toContain('COPY --from=ghcr.io/astral-sh/uv:0.5.11 /uv /usr/local/bin/uv');
+    expect(generateDockerfile(config)).toContain('RUN uv pip install --system --no-cache -r pyproject.toml');
+    expect(generateDockerfile(config)).toContain('config.wsgi:application');
+  });
+});
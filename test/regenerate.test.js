@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { merge3 } = require('../bin/lib/merge');
+const { mergeRenderedFiles, saveBaseline } = require('../bin/universal-setup.js');
+
+describe('Regenerate', () => {
+  describe('merge3', () => {
+    test('should combine non-overlapping edits', () => {
+      const base = 'a\nb\nc\nd\ne\n';
+      const result = merge3(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nD\ne\nf\n');
+
+      expect(result).toEqual({ content: 'a\nB\nc\nD\ne\nf\n', conflicts: 0 });
+    });
+
+    test('should keep identical edits once', () => {
+      const result = merge3('a\nb\n', 'a\nX\n', 'a\nX\n');
+
+      expect(result).toEqual({ content: 'a\nX\n', conflicts: 0 });
+    });
+
+    test('should mark overlapping edits as conflicts', () => {
+      const result = merge3('a\nb\nc\n', 'a\nmine\nc\n', 'a\ntheirs\nc\n');
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe('a\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> generated\nc\n');
+    });
+  });
+
+  describe('mergeRenderedFiles', () => {
+    let projectDir;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, file), content);
+    };
+    const read = file => fs.readFileSync(path.join(projectDir, file), 'utf8');
+    const render = files => new Map(Object.entries(files).map(([file, content]) => [file, { content, mode: 0o644 }]));
+    const statusOf = (results, file) => results.find(result => result.file === file).status;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'regenerate-test-'));
+      write('README.md', '# App\n\nGenerated v1\n');
+      write('Dockerfile', 'FROM node:18\nEXPOSE 3000\n');
+      write('k8s/service.yaml', 'port: 80\n');
+      saveBaseline(projectDir, ['README.md', 'Dockerfile', 'k8s/service.yaml']);
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test('should update untouched files and record the new baseline', () => {
+      const results = mergeRenderedFiles(projectDir, render({
+        'README.md': '# App\n\nGenerated v2\n',
+        Dockerfile: 'FROM node:18\nEXPOSE 3000\n',
+        'k8s/service.yaml': 'port: 80\n'
+      }));
+
+      expect(statusOf(results, 'README.md')).toBe('updated');
+      expect(statusOf(results, 'Dockerfile')).toBe('unchanged');
+      expect(read('README.md')).toContain('Generated v2');
+      expect(fs.readFileSync(path.join(projectDir, '.uds/baseline/README.md'), 'utf8')).toContain('Generated v2');
+    });
+
+    test('should merge user edits with generator changes', () => {
+      write('README.md', '# App\n\nGenerated v1\n\n## My notes\n');
+
+      const results = mergeRenderedFiles(projectDir, render({
+        'README.md': '# App (new title)\n\nGenerated v1\n'
+      }));
+
+      expect(statusOf(results, 'README.md')).toBe('merged');
+      expect(read('README.md')).toBe('# App (new title)\n\nGenerated v1\n\n## My notes\n');
+    });
+
+    test('should report conflicts instead of clobbering user edits', () => {
+      write('Dockerfile', 'FROM node:18\nEXPOSE 8080\n');
+
+      const results = mergeRenderedFiles(projectDir, render({ Dockerfile: 'FROM node:18\nEXPOSE 3001\n' }));
+
+      expect(statusOf(results, 'Dockerfile')).toBe('conflict');
+      expect(read('Dockerfile')).toContain('EXPOSE 8080');
+      expect(read('Dockerfile')).toContain('EXPOSE 3001');
+      expect(read('Dockerfile')).toContain('<<<<<<< Dockerfile (yours)');
+    });
+
+    test('should keep local edits when the generator output did not change', () => {
+      write('k8s/service.yaml', 'port: 8080\n');
+
+      const results = mergeRenderedFiles(projectDir, render({ 'k8s/service.yaml': 'port: 80\n' }));
+
+      expect(statusOf(results, 'k8s/service.yaml')).toBe('kept');
+      expect(read('k8s/service.yaml')).toBe('port: 8080\n');
+    });
+
+    test('should add new files, respect deletions and skip files uds never generated', () => {
+      fs.unlinkSync(path.join(projectDir, 'Dockerfile'));
+      write('package.json', '{ "name": "hand-written" }\n');
+
+      const results = mergeRenderedFiles(projectDir, render({
+        Dockerfile: 'FROM node:20\n',
+        '.env.example': 'PORT=\n',
+        'package.json': '{ "name": "generated" }\n'
+      }));
+
+      expect(statusOf(results, 'Dockerfile')).toBe('deleted-locally');
+      expect(fs.existsSync(path.join(projectDir, 'Dockerfile'))).toBe(false);
+      expect(statusOf(results, '.env.example')).toBe('added');
+      expect(read('.env.example')).toBe('PORT=\n');
+      expect(statusOf(results, 'package.json')).toBe('untracked');
+      expect(read('package.json')).toContain('hand-written');
+    });
+  });
+});
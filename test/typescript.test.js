@@ -0,0 +1,69 @@
+const { getProfile } = require('../bin/lib/profiles');
+const { generateDockerfile, generateDockerCompose } = require('../bin/universal-setup.js');
+const { useTempDir, generate } = require('./helpers/generate');
+
+describe('TypeScript Projects', () => {
+  useTempDir('typescript-test');
+
+  test('should compile a Node.js server before the runtime stage', async () => {
+    const { config, writer, sources } = await generate({ type: 'node', typescript: true });
+    const packageJson = JSON.parse(writer.readFile('package.json'));
+    const dockerfile = generateDockerfile(config);
+
+    expect(sources).toEqual(['server.ts']);
+    expect(writer.readFile('server.ts')).toContain("import express from 'express';");
+    expect(JSON.parse(writer.readFile('tsconfig.json')).compilerOptions).toMatchObject({ outDir: 'dist', strict: true });
+    expect(packageJson.scripts).toMatchObject({ build: 'tsc', start: 'node dist/server.js', typecheck: 'tsc --noEmit' });
+    expect(packageJson.devDependencies).toHaveProperty('typescript');
+    expect(dockerfile.indexOf('RUN npx tsc -p .')).toBeLessThan(dockerfile.indexOf('FROM node:18-alpine AS production'));
+    expect(dockerfile).toContain('COPY --from=build /app/dist ./dist');
+  });
+
+  test('should write .ts/.tsx sources for React + Express', async () => {
+    const { writer, sources } = await generate({ type: 'react', backend: 'express', typescript: true });
+
+    expect(sources.sort()).toEqual(['client/src/App.tsx', 'client/src/main.tsx', 'client/vite.config.js', 'server/index.ts']);
+    expect(writer.readFile('client/index.html')).toContain('src="/src/main.tsx"');
+    expect(JSON.parse(writer.readFile('client/tsconfig.json')).compilerOptions.jsx).toBe('react-jsx');
+    expect(JSON.parse(writer.readFile('client/package.json')).scripts).toMatchObject({ build: 'tsc && vite build', typecheck: 'tsc --noEmit' });
+    expect(writer.readFile('server/index.ts')).toContain("path.join(__dirname, '../../client/dist')");
+    expect(JSON.parse(writer.readFile('server/package.json')).scripts.start).toBe('node dist/index.js');
+    expect(writer.readFile('server/Dockerfile')).toContain('RUN npx tsc -p .');
+    expect(JSON.parse(writer.readFile('package.json')).scripts.typecheck).toContain('cd ../server && npm run typecheck');
+  });
+
+  test('should run the React + Express dev servers from the build stage in docker-compose', () => {
+    const config = { projectName: 'app', projectType: 'react', backend: 'express', typescript: true };
+    const { services } = generateDockerCompose(config);
+
+    // The bind-mounted source hides the compiled dist/ of the production stage
+    expect(services.server.build).toEqual({ context: './server', dockerfile: 'Dockerfile', target: 'build' });
+    expect(services.server.command).toEqual(['npm', 'run', 'dev']);
+    expect(services.client.build.target).toBe('build');
+    expect(generateDockerCompose(config, 'production').services.server.build.target).toBe('production');
+  });
+
+  test('should type Next.js, Firebase and Vercel sources', async () => {
+    const nextjs = await generate({ type: 'react', backend: 'nextjs', typescript: true });
+    expect(nextjs.sources.sort()).toEqual(['next-env.d.ts', 'pages/api/health.ts', 'pages/api/hello.ts', 'pages/index.tsx']);
+    expect(nextjs.writer.readFile('pages/api/hello.ts')).toContain('res: NextApiResponse');
+    expect(JSON.parse(nextjs.writer.readFile('tsconfig.json')).include).toContain('next-env.d.ts');
+
+    const firebase = await generate({ type: 'react', backend: 'firebase', typescript: true });
+    expect(firebase.sources).toContain('functions/src/index.ts');
+    expect(JSON.parse(firebase.writer.readFile('functions/package.json'))).toMatchObject({ main: 'lib/index.js', scripts: { build: 'tsc' } });
+    expect(JSON.parse(firebase.writer.readFile('firebase.json')).functions.predeploy).toEqual(['npm --prefix "$RESOURCE_DIR" run build']);
+
+    const serverless = await generate({ type: 'react', backend: 'serverless', typescript: true });
+    expect(serverless.sources).toContain('api/hello.ts');
+    expect(serverless.writer.readFile('vercel.json')).toContain('api/**/*.ts');
+  });
+
+  test('should leave JavaScript projects and Python alone', async () => {
+    const { writer, sources } = await generate({ type: 'react' });
+
+    expect(sources.sort()).toEqual(['src/App.jsx', 'src/main.jsx', 'vite.config.js']);
+    expect(writer.exists('tsconfig.json')).toBe(false);
+    expect(getProfile({ projectType: 'python', typescript: true })).toEqual(getProfile({ projectType: 'python' }));
+  });
+});
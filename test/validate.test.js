@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { lintDockerfile } = require('../bin/lib/dockerfile-lint');
+const {
+  validateDevcontainer,
+  validateCompose,
+  validateKubernetes,
+  validateProject
+} = require('../bin/lib/validate');
+const { createDefaultConfig, setupProject } = require('../bin/universal-setup.js');
+
+describe('uds validate', () => {
+  let testDir;
+  let originalCwd;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(testDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(testDir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  };
+  const messages = issues => issues.map(issue => `${issue.level}: ${issue.message}`);
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-test-'));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('Dockerfile lint', () => {
+    test('should flag unpinned base images and a final stage running as root', () => {
+      const issues = lintDockerfile('FROM node\nFROM python:latest AS tools\nFROM node:20-alpine@sha256:abc\nCMD ["node"]\n');
+
+      expect(issues).toEqual([
+        { line: 1, level: 'warning', message: expect.stringContaining('"node" has no tag') },
+        { line: 2, level: 'warning', message: expect.stringContaining('latest tag') },
+        { line: 3, level: 'warning', message: 'the final stage runs as root; add a USER instruction' }
+      ]);
+      expect(lintDockerfile('FROM node:20-alpine\nUSER root\n')).toHaveLength(1);
+      expect(lintDockerfile('FROM node:20-alpine\nUSER node\n')).toEqual([]);
+      expect(lintDockerfile('# nothing\n')).toEqual([{ line: 1, level: 'error', message: 'no FROM instruction' }]);
+    });
+
+    test('should flag a build after a production-only install, across stages', () => {
+      const sameStage = lintDockerfile('FROM node:20\nRUN npm ci \\\n  --only=production\nCOPY . .\nRUN npm run build\nUSER node\n');
+      const acrossStages = lintDockerfile([
+        'FROM node:20 AS deps',
+        'RUN npm ci --omit=dev',
+        'FROM node:20 AS builder',
+        'COPY --from=deps /app/node_modules ./node_modules',
+        'RUN npx next build',
+        'USER node'
+      ].join('\n'));
+
+      expect(sameStage).toEqual([{ line: 5, level: 'error', message: expect.stringContaining('"npm run build" runs after a production-only install (line 2)') }]);
+      expect(acrossStages).toEqual([{ line: 5, level: 'error', message: expect.stringContaining('"next build"') }]);
+      expect(lintDockerfile('FROM node:20\nRUN npm ci --omit=dev\nRUN npm ci\nRUN npm run build\nUSER node\n')).toEqual([]);
+    });
+  });
+
+  describe('devcontainer and compose', () => {
+    test('should check devcontainer files against the schema and resolve their references', () => {
+      write('.devcontainer/devcontainer.json', { name: 'app', dockerComposeFile: 'docker-compose.yml', service: 'app', forwardPorts: ['x'] });
+      expect(messages(validateDevcontainer(testDir, '.devcontainer/devcontainer.json'))).toEqual([
+        expect.stringMatching(/^error: \/forwardPorts\/0/)
+      ]);
+
+      write('.devcontainer/devcontainer.json', { name: 'app', dockerComposeFile: 'docker-compose.yml', service: 'app' });
+      expect(messages(validateDevcontainer(testDir, '.devcontainer/devcontainer.json'))).toEqual([
+        'error: references docker-compose.yml (.devcontainer/docker-compose.yml), which does not exist'
+      ]);
+
+      write('docker-compose.yml', 'services:\n  app:\n    image: node:20\n');
+      write('.devcontainer/devcontainer.json', { name: 'app', dockerComposeFile: '../docker-compose.yml', service: 'app' });
+      expect(validateDevcontainer(testDir, '.devcontainer/devcontainer.json')).toEqual([]);
+
+      write('.devcontainer/devcontainer.yml', '{ "name": "app" }\n');
+      expect(messages(validateDevcontainer(testDir, '.devcontainer/devcontainer.yml'))).toEqual(['error: contains JSON rather than YAML']);
+    });
+
+    test('should check compose files against the spec and their references', () => {
+      write('docker-compose.yml', [
+        'services:',
+        '  api:',
+        '    build: ./api',
+        '    env_file: .env.development',
+        '    restart: sometimes',
+        '  worker:',
+        '    build:',
+        '      context: .',
+        '    depends_on:',
+        '      - queue',
+        '    volumes:',
+        '      - ./src:/app/src',
+        '      - cache:/cache',
+        ''
+      ].join('\n'));
+      expect(messages(validateCompose(testDir, 'docker-compose.yml'))).toEqual([
+        expect.stringMatching(/^error: \/services\/api\/restart/)
+      ]);
+
+      write('docker-compose.yml', fs.readFileSync(path.join(testDir, 'docker-compose.yml'), 'utf8').replace('    restart: sometimes\n', ''));
+      expect(messages(validateCompose(testDir, 'docker-compose.yml'))).toEqual([
+        'error: service "api" builds api/, which does not exist',
+        'warning: service "api" reads .env.development, which does not exist yet',
+        'error: service "worker" depends on undefined service "queue"',
+        'error: service "worker" builds with Dockerfile, which does not exist',
+        'error: service "worker" uses volume "cache", which is not declared under volumes'
+      ]);
+    });
+  });
+
+  describe('Kubernetes', () => {
+    const deployment = labels => [
+      'apiVersion: apps/v1',
+      'kind: Deployment',
+      'metadata:',
+      '  name: web',
+      'spec:',
+      '  selector:',
+      '    matchLabels:',
+      '      app: web',
+      '  template:',
+      '    metadata:',
+      '      labels:',
+      `        app: ${labels}`,
+      '    spec:',
+      '      containers:',
+      '        - name: web',
+      '          image: web:1.0.0',
+      '          ports:',
+      '            - containerPort: 3000',
+      ''
+    ].join('\n');
+
+    test('should check Deployments and Services against the core types and each other', () => {
+      write('k8s/base/kustomization.yaml', 'resources:\n  - deployment.yaml\n  - service.yaml\n  - missing.yaml\n');
+      write('k8s/base/deployment.yaml', deployment('website'));
+      write('k8s/base/service.yaml', 'apiVersion: v1\nkind: Service\nmetadata:\n  name: web\nspec:\n  selector:\n    app: api\n  ports:\n    - port: 70000\n');
+
+      const { files, issues } = validateKubernetes(testDir);
+
+      expect(files).toEqual(['k8s/base/deployment.yaml', 'k8s/base/kustomization.yaml', 'k8s/base/service.yaml']);
+      expect(messages(issues)).toEqual([
+        'error: lists missing.yaml, which does not exist',
+        'error: Deployment web: spec.selector.matchLabels does not match the pod template labels',
+        expect.stringMatching(/^error: Service web: \/spec\/ports\/0\/port/)
+      ]);
+
+      write('k8s/base/kustomization.yaml', 'resources:\n  - deployment.yaml\n  - service.yaml\n');
+      write('k8s/base/deployment.yaml', deployment('web'));
+      write('k8s/base/service.yaml', 'apiVersion: v1\nkind: Service\nmetadata:\n  name: web\nspec:\n  selector:\n    app: api\n  ports:\n    - port: 80\n');
+      expect(messages(validateKubernetes(testDir).issues)).toEqual(['warning: Service web: selector matches no Deployment in k8s/']);
+    });
+  });
+
+  test('should pass on a freshly generated project', async () => {
+    await setupProject(createDefaultConfig({ type: 'react', backend: 'express', here: true }), {
+      quiet: true,
+      installTools: false
+    });
+
+    const { files, issues } = validateProject(testDir);
+
+    expect(files).toEqual(expect.arrayContaining([
+      '.devcontainer/devcontainer.json',
+      'docker-compose.yml',
+      'client/Dockerfile',
+      'server/Dockerfile',
+      'k8s/base/deployment.yaml',
+      'k8s/overlays/staging/kustomization.yaml'
+    ]));
+    expect(issues).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const { getProjectPorts } = require('../bin/universal-setup.js');
+
+// The extension's profile helpers, compiled the way `npm run compile` does,
+// reading the CLI's profiles.json
+function loadProjectProfiles() {
+  const file = path.join(__dirname, '..', 'vscode-extension', 'src', 'projectProfiles.ts');
+  const { outputText } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+  });
+  const module = { exports: {} };
+  const load = request => (request === './profiles.json' ? require('../bin/lib/profiles.json') : require(request));
+  new Function('require', 'module', 'exports', outputText)(load, module, module.exports);
+  return module.exports;
+}
+
+describe('VS Code Extension Profiles', () => {
+  const { getProfilePorts } = loadProjectProfiles();
+
+  test('should resolve bundled apps to the default bundler or frontend port', () => {
+    expect(getProfilePorts('react')).toEqual([5173]);
+    expect(getProfilePorts('full-stack')).toEqual([5173, 3001]);
+    expect(getProfilePorts('unknown')).toEqual([3000]);
+  });
+
+  test('should forward the same app ports as the CLI', () => {
+    ['react', 'node', 'full-stack', 'custom'].forEach(projectType => {
+      const cliPorts = getProjectPorts({ projectType, addons: [] });
+      expect(cliPorts.slice(0, getProfilePorts(projectType).length)).toEqual(getProfilePorts(projectType));
+    });
+  });
+});
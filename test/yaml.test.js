@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const yaml = require('../bin/lib/yaml');
+const { serializeConfig, parseConfig, configFilename } = require('../bin/lib/formats');
+const {
+  createDefaultConfig,
+  setupProject,
+  generateDockerCompose,
+  generateDevcontainerConfig
+} = require('../bin/universal-setup.js');
+
+describe('YAML Serialization', () => {
+  describe('stringify / parse', () => {
+    test('should round-trip nested structures and tricky scalars', () => {
+      const value = {
+        version: '3.8',
+        services: {
+          app: {
+            build: '.',
+            ports: ['3000:3000', 8080],
+            environment: ['NODE_ENV=development'],
+            depends_on: [],
+            labels: {}
+          }
+        },
+        strings: ['yes', 'no', 'null', '', ' padded ', "it's", '#hash', 'key: value', '- dash', '0123', '1e3'],
+        multiline: 'line one\nline two\n',
+        noTrailingNewline: 'a\nb',
+        indented: '  code\nmore\n',
+        nested: [[1, [2, 3]], { a: null, b: true, c: -1.5 }],
+        '3000': { label: 'Frontend' }
+      };
+
+      expect(yaml.parse(yaml.stringify(value))).toEqual(value);
+    });
+
+    test('should emit compose-style output', () => {
+      const output = yaml.stringify({
+        version: '3.8',
+        services: { app: { build: '.', ports: ['3000:3000'] } }
+      });
+
+      expect(output).toBe([
+        "version: '3.8'",
+        '',
+        'services:',
+        '  app:',
+        '    build: .',
+        '    ports:',
+        "      - '3000:3000'",
+        ''
+      ].join('\n'));
+    });
+
+    test('should parse comments, flow collections, block scalars and documents', () => {
+      const documents = yaml.parseAll([
+        '# Service',
+        'apiVersion: v1',
+        'kind: Service  # trailing comment',
+        'spec:',
+        '  ports:',
+        '  - port: 80',
+        '    targetPort: "8080"',
+        '  selector: {app: web, tier: "frontend"}',
+        '  args: [--verbose, 2]',
+        'script: |',
+        '  echo one',
+        '  echo two',
+        'summary: >-',
+        '  folded',
+        '  text',
+        '---',
+        'kind: Deployment'
+      ].join('\n'));
+
+      expect(documents).toEqual([
+        {
+          apiVersion: 'v1',
+          kind: 'Service',
+          spec: {
+            ports: [{ port: 80, targetPort: '8080' }],
+            selector: { app: 'web', tier: 'frontend' },
+            args: ['--verbose', 2]
+          },
+          script: 'echo one\necho two\n',
+          summary: 'folded text'
+        },
+        { kind: 'Deployment' }
+      ]);
+      expect(yaml.stringifyAll(documents)).toContain('---\nkind: Deployment\n');
+    });
+
+    test('should report errors with line numbers', () => {
+      expect(() => yaml.parse('a: 1\na: 2\n')).toThrow('Duplicate key "a" (line 2)');
+      expect(() => yaml.parse('a:\n\tb: 1\n')).toThrow('Tabs are not allowed');
+      expect(() => yaml.parse("a: 'open\n")).toThrow('Unterminated single-quoted string');
+      expect(() => yaml.parse('a: &anchor 1\n')).toThrow('not supported');
+    });
+  });
+
+  describe('config formats', () => {
+    test('should serialize the same object as JSON or YAML', () => {
+      const value = { name: 'app', forwardPorts: [3000] };
+
+      expect(parseConfig(serializeConfig(value, 'json'), 'json')).toEqual(value);
+      expect(parseConfig(serializeConfig(value, 'yaml'), 'yaml')).toEqual(value);
+      expect(configFilename('devcontainer', 'yaml')).toBe('devcontainer.yml');
+      expect(() => serializeConfig(value, 'toml')).toThrow('Unknown config format "toml"');
+    });
+  });
+
+  describe('generated files', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaml-test-'));
+      originalCwd = process.cwd();
+      process.chdir(testDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    const render = async options => {
+      const config = createDefaultConfig({ ...options, here: true });
+      const writer = await setupProject(config, { dryRun: true, quiet: true, installTools: false });
+      return { config, files: new Map(writer.getFiles().map(file => [file.path, file.content])) };
+    };
+
+    test('yaml strategies should write a devcontainer.yml that parses back to the config', async () => {
+      const { config, files } = await render({ type: 'python' });
+
+      expect(config.strategy.configFormat).toBe('yaml');
+      expect(files.has('.devcontainer/devcontainer.json')).toBe(false);
+      expect(yaml.parse(files.get('.devcontainer/devcontainer.yml'))).toEqual(generateDevcontainerConfig(config));
+    });
+
+    test('compose files should always be valid YAML in docker-compose.yml', async () => {
+      const { config, files } = await render({ type: 'react', backend: 'express' });
+
+      expect(config.strategy.configFormat).toBe('json');
+      expect(files.has('docker-compose.json')).toBe(false);
+      expect(yaml.parse(files.get('docker-compose.yml'))).toEqual(generateDockerCompose(config));
+      expect(JSON.parse(files.get('.devcontainer/devcontainer.json')).dockerComposeFile).toBe('../docker-compose.yml');
+    });
+  });
+});
@@ -194,7 +194,14 @@ install_node_deps() {
     echo "📦 Installing Node.js dependencies..."
     
     if [[ -f "package.json" ]]; then
-        npm install
+        # Monorepos pin pnpm or yarn in package.json's packageManager field
+        if grep -q '"packageManager": "pnpm@' package.json; then
+            corepack enable && pnpm install
+        elif grep -q '"packageManager": "yarn@' package.json; then
+            corepack enable && yarn install
+        else
+            npm install
+        fi
         echo "✅ Node.js dependencies installed"
     else
         echo "⚠️  No package.json found, skipping npm install"
@@ -427,6 +434,22 @@ EOF
                 pip install -r requirements.txt
                 deactivate
                 echo "✅ Requirements installed"
+            elif [[ -f "pyproject.toml" ]]; then
+                # Poetry and uv install into the active virtual environment
+                source venv/bin/activate
+                if grep -q "^\[tool.uv.workspace\]" pyproject.toml && command -v uv &> /dev/null; then
+                    echo "📋 Installing the uv workspace packages..."
+                    uv sync --all-packages --active
+                elif grep -q "^\[tool.poetry\]" pyproject.toml && command -v poetry &> /dev/null; then
+                    echo "📋 Installing packages with Poetry..."
+                    poetry install --no-root
+                elif command -v uv &> /dev/null; then
+                    echo "📋 Installing packages with uv..."
+                    uv pip install -r pyproject.toml --group dev
+                else
+                    echo "⚠️  Install Poetry or uv to install the packages in pyproject.toml"
+                fi
+                deactivate
             fi
             
             echo "✅ Python virtual environment setup complete"
@@ -1,6 +1,7 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
+import { PROFILES, getProfile, getProfilePorts } from './projectProfiles';
 
 export function activate(context: vscode.ExtensionContext) {
     console.log('Universal Dev Environment extension is now active!');
@@ -47,13 +48,8 @@ async function initializeProject(uri?: vscode.Uri) {
     const config = vscode.workspace.getConfiguration('universal-dev-env');
     
     // Get user preferences
-    const projectType = await vscode.window.showQuickPick([
-        { label: '⚛️ React Frontend', value: 'react' },
-        { label: '🟢 Node.js Backend', value: 'node' },
-        { label: '🐍 Python Application', value: 'python' },
-        { label: '🔄 Full-Stack (React + Node)', value: 'full-stack' },
-        { label: '⚙️ Custom/Other', value: 'custom' }
-    ], {
+    const projectType = await vscode.window.showQuickPick(
+        Object.entries(PROFILES).map(([value, profile]) => ({ label: `${profile.icon} ${profile.name}`, value })), {
         placeHolder: 'Select project type',
         ignoreFocusOut: true
     });
@@ -329,7 +325,7 @@ RUN npm install -g @anthropic-ai/claude-code @google/gemini-cli
 
 USER developer
 
-EXPOSE 3000 3001 5000 5173 8000
+EXPOSE ${getProfilePorts(projectType).join(' ')}
 
 CMD ["bash"]
 `;
@@ -349,7 +345,8 @@ function getDevcontainerTemplate(projectType: string, features: any[]): any {
                     "esbenp.prettier-vscode",
                     "GitHub.copilot",
                     "GitHub.copilot-chat",
-                    "GitHub.vscode-pull-request-github"
+                    "GitHub.vscode-pull-request-github",
+                    ...(getProfile(projectType).extensions || [])
                 ],
                 settings: {
                     "terminal.integrated.defaultProfile.linux": "bash",
@@ -357,7 +354,7 @@ function getDevcontainerTemplate(projectType: string, features: any[]): any {
                 }
             }
         },
-        forwardPorts: [3000, 3001, 5000, 5173, 8000],
+        forwardPorts: getProfilePorts(projectType),
         remoteUser: "developer",
         workspaceFolder: "/workspace",
         postCreateCommand: "./universal-setup.sh"
@@ -367,7 +364,7 @@ function getDevcontainerTemplate(projectType: string, features: any[]): any {
 function getReadmeTemplate(projectType: string): string {
     return `# Universal Dev Environment Project
 
-${projectType.charAt(0).toUpperCase() + projectType.slice(1)} project with universal development environment.
+${getProfile(projectType).name} project with universal development environment.
 
 ## 🚀 Quick Start
 
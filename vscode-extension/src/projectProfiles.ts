@@ -0,0 +1,40 @@
+import * as profileData from './profiles.json';
+
+// Project-type profiles shared with the CLI (copied from bin/lib/profiles.json
+// by `npm run sync-profiles`)
+export interface Profile {
+    name: string;
+    icon: string;
+    extensions?: string[];
+    services: { ports: { port?: number }[] }[];
+    defaultBundler?: string;
+    // Another project type's name shares its bundlers
+    bundlers?: Record<string, { port: number }> | string;
+    defaultFrontend?: string;
+    frontends?: Record<string, { port?: number }>;
+}
+
+export const PROFILES = profileData as Record<string, Profile>;
+
+export function getProfile(projectType: string): Profile {
+    return PROFILES[projectType] || PROFILES.custom;
+}
+
+// Bundled apps (React, a full-stack frontend) have no port of their own: they
+// listen on the default frontend's (Next.js) or else the default bundler's (Vite)
+function getBundledPort(profile: Profile): number | undefined {
+    const frontend = profile.frontends && profile.defaultFrontend ? profile.frontends[profile.defaultFrontend] : undefined;
+    if (frontend && frontend.port) {
+        return frontend.port;
+    }
+    const bundlers = typeof profile.bundlers === 'string' ? getProfile(profile.bundlers).bundlers : profile.bundlers;
+    return bundlers && typeof bundlers !== 'string' && profile.defaultBundler ? bundlers[profile.defaultBundler].port : undefined;
+}
+
+export function getProfilePorts(projectType: string): number[] {
+    const profile = getProfile(projectType);
+    const bundledPort = getBundledPort(profile);
+    return profile.services
+        .flatMap(service => service.ports.map(entry => entry.port || bundledPort))
+        .filter((port): port is number => typeof port === 'number');
+}